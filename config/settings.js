@@ -1,11 +1,112 @@
+import fs from 'fs';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+/**
+ * Профілі середовища (EXCHANGE_ENV, раніше GATEIO_ENV) - спільні для Gate.io та Bybit
+ *
+ * mainnet - реальні кошти
+ * testnet - Gate.io futures testnet (https://www.gate.io/testnet) та Bybit testnet, окремі ключі
+ * mock    - локальний mock Gate.io (npm run mock), Bybit недоступний
+ *
+ * GATEIO_BASE_URL / GATEIO_WS_URL / BYBIT_BASE_URL перевизначають endpoint'и активного профілю
+ */
+const mockPort = process.env.MOCK_GATEIO_PORT || '8089';
+
+const ENVIRONMENT_PROFILES = {
+  mainnet: {
+    label: 'MAINNET',
+    baseURL: 'https://api.gateio.ws/api/v4',
+    wsURL: 'wss://fx-ws.gateio.ws/v4/ws/usdt',
+    // Час сервера беремо з того ж API
+    timeURL: 'https://api.gateio.ws/api/v4/spot/time',
+    apiKeyEnv: 'GATEIO_API_KEY',
+    apiSecretEnv: 'GATEIO_API_SECRET',
+    bybit: {
+      baseURL: 'https://api.bybit.com',
+      apiKeyEnv: 'BYBIT_API_KEY',
+      apiSecretEnv: 'BYBIT_API_SECRET'
+    }
+  },
+  testnet: {
+    label: 'TESTNET',
+    baseURL: 'https://fx-api-testnet.gateio.ws/api/v4',
+    wsURL: 'wss://fx-ws-testnet.gateio.ws/v4/ws/usdt',
+    // Testnet не має spot API - час синхронізуємо з mainnet
+    timeURL: 'https://api.gateio.ws/api/v4/spot/time',
+    apiKeyEnv: 'GATEIO_TESTNET_API_KEY',
+    apiSecretEnv: 'GATEIO_TESTNET_API_SECRET',
+    bybit: {
+      baseURL: 'https://api-testnet.bybit.com',
+      apiKeyEnv: 'BYBIT_TESTNET_API_KEY',
+      apiSecretEnv: 'BYBIT_TESTNET_API_SECRET'
+    }
+  },
+  mock: {
+    label: 'LOCAL MOCK',
+    baseURL: `http://127.0.0.1:${mockPort}/api/v4`,
+    wsURL: `ws://127.0.0.1:${mockPort}/v4/ws/usdt`,
+    timeURL: `http://127.0.0.1:${mockPort}/api/v4/spot/time`,
+    apiKeyEnv: 'MOCK_GATEIO_API_KEY',
+    apiSecretEnv: 'MOCK_GATEIO_API_SECRET',
+    // Значення за замовчуванням збігаються з scripts/mock-server.js
+    defaultApiKey: 'mock-key',
+    defaultApiSecret: 'mock-secret',
+    bybit: null
+  }
+};
+
+const SUPPORTED_EXCHANGES = ['gateio', 'bybit'];
+
+const environmentName = (process.env.EXCHANGE_ENV || process.env.GATEIO_ENV || 'mainnet').toLowerCase();
+const profile = ENVIRONMENT_PROFILES[environmentName];
+
+if (!profile) {
+  throw new Error(`EXCHANGE_ENV must be one of: ${Object.keys(ENVIRONMENT_PROFILES).join(', ')}`);
+}
+
+// Біржа за замовчуванням (для акаунта без ACCOUNTS_FILE та записів без "exchange")
+const defaultExchange = (process.env.EXCHANGE || 'gateio').toLowerCase();
+
+if (!SUPPORTED_EXCHANGES.includes(defaultExchange)) {
+  throw new Error(`EXCHANGE must be one of: ${SUPPORTED_EXCHANGES.join(', ')}`);
+}
+
+const profileApiKey = process.env[profile.apiKeyEnv] || profile.defaultApiKey;
+const profileApiSecret = process.env[profile.apiSecretEnv] || profile.defaultApiSecret;
+
+/**
+ * Ключі з env для біржі в активному профілі
+ */
+function getProfileCredentials(exchange) {
+  if (exchange === 'bybit') {
+    if (!profile.bybit) {
+      throw new Error(`Bybit is not available in the ${profile.label} environment`);
+    }
+    return {
+      apiKeyEnv: profile.bybit.apiKeyEnv,
+      apiSecretEnv: profile.bybit.apiSecretEnv,
+      apiKey: process.env[profile.bybit.apiKeyEnv],
+      apiSecret: process.env[profile.bybit.apiSecretEnv]
+    };
+  }
+
+  return {
+    apiKeyEnv: profile.apiKeyEnv,
+    apiSecretEnv: profile.apiSecretEnv,
+    apiKey: profileApiKey,
+    apiSecret: profileApiSecret
+  };
+}
+
 // Валідація обов'язкових змінних
+// Ключі біржі не потрібні в env, якщо акаунти описані в ACCOUNTS_FILE
+const defaultCredentials = getProfileCredentials(defaultExchange);
 const requiredEnvVars = [
-  'GATEIO_API_KEY',
-  'GATEIO_API_SECRET',
+  ...(process.env.ACCOUNTS_FILE || defaultCredentials.apiKey
+    ? []
+    : [defaultCredentials.apiKeyEnv, defaultCredentials.apiSecretEnv]),
   'TELEGRAM_BOT_TOKEN',
   'TELEGRAM_CHANNEL_ID'
 ];
@@ -16,16 +117,115 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+/**
+ * Розбирає "ADAUSDT:cross,BTCUSDT:isolated" у { ADAUSDT: 'cross', BTCUSDT: 'isolated' }
+ */
+function parseSymbolMap(value) {
+  return Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean)
+      .map(item => {
+        const [symbol, setting] = item.split(':').map(part => part.trim());
+        return [symbol.toUpperCase(), (setting || '').toLowerCase()];
+      })
+  );
+}
+
+/**
+ * Завантажує торгові акаунти (основний + суб-акаунти).
+ *
+ * ACCOUNTS_FILE - JSON масив:
+ * [{ "id": "sub1", "label": "Sub 1", "exchange": "gateio",
+ *    "apiKeyEnv": "GATEIO_SUB1_API_KEY", "apiSecretEnv": "GATEIO_SUB1_API_SECRET",
+ *    "riskPercentage": 1, "leverage": 10, "allowedSymbols": ["ADAUSDT"],
+ *    "dryRun": false, "telegramChannelId": "-100..." }]
+ * exchange: "gateio" | "bybit" (за замовчуванням EXCHANGE).
+ * Замість apiKeyEnv/apiSecretEnv можна вказати apiKey/apiSecret напряму.
+ * Пропущені поля беруться з глобальних налаштувань.
+ * Ключі прив'язані до середовища, тому для testnet потрібен окремий файл.
+ *
+ * Без ACCOUNTS_FILE - один акаунт "main" на біржі EXCHANGE з ключами активного профілю
+ * (GATEIO_API_KEY, GATEIO_TESTNET_API_KEY, MOCK_GATEIO_API_KEY, BYBIT_API_KEY, ...)
+ */
+function loadAccounts(defaults) {
+  const entries = process.env.ACCOUNTS_FILE
+    ? JSON.parse(fs.readFileSync(process.env.ACCOUNTS_FILE, 'utf8'))
+    : [{ id: 'main', apiKey: defaultCredentials.apiKey, apiSecret: defaultCredentials.apiSecret }];
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('ACCOUNTS_FILE must contain a non-empty JSON array');
+  }
+
+  return entries.map((entry, index) => {
+    const id = entry.id || `account${index + 1}`;
+    const exchange = (entry.exchange || defaultExchange).toLowerCase();
+
+    if (!SUPPORTED_EXCHANGES.includes(exchange)) {
+      throw new Error(`Account "${id}": exchange must be one of: ${SUPPORTED_EXCHANGES.join(', ')}`);
+    }
+    if (exchange === 'bybit') {
+      getProfileCredentials('bybit');
+    }
+
+    const apiKey = entry.apiKey || process.env[entry.apiKeyEnv];
+    const apiSecret = entry.apiSecret || process.env[entry.apiSecretEnv];
+
+    if (!apiKey || !apiSecret) {
+      throw new Error(`Account "${id}": missing API key or secret`);
+    }
+
+    return {
+      id,
+      label: entry.label || id,
+      exchange,
+      apiKey,
+      apiSecret,
+      risk: {
+        ...defaults.risk,
+        percentage: entry.riskPercentage !== undefined ? parseFloat(entry.riskPercentage) : defaults.risk.percentage,
+        leverage: entry.leverage !== undefined ? parseInt(entry.leverage) : defaults.risk.leverage
+      },
+      allowedSymbols: (entry.allowedSymbols || defaults.trading.allowedSymbols).map(s => s.trim().toUpperCase()),
+      dryRun: entry.dryRun !== undefined ? Boolean(entry.dryRun) : defaults.trading.dryRun,
+      telegramChannelId: entry.telegramChannelId || defaults.telegram.channelId
+    };
+  });
+}
+
 export const config = {
+  // Спільні налаштування адаптерів бірж (старі GATEIO_* змінні підтримуються як fallback)
+  exchange: {
+    // Активний профіль середовища: mainnet | testnet | mock
+    environment: environmentName,
+    environmentLabel: profile.label,
+    // Position mode: 'single_mode' (one-way) або 'dual_mode' (hedge mode)
+    // В dual_mode можна мати одночасно LONG і SHORT позиції (на Bybit - hedge mode акаунта)
+    positionMode: (process.env.POSITION_MODE || process.env.GATEIO_POSITION_MODE || 'single_mode').toLowerCase(),
+    // Повтори для мережевих збоїв, 429 та 5xx
+    retry: {
+      maxRetries: parseInt(process.env.EXCHANGE_MAX_RETRIES || process.env.GATEIO_MAX_RETRIES || '3'),
+      baseDelayMs: parseInt(process.env.EXCHANGE_RETRY_BASE_DELAY_MS || process.env.GATEIO_RETRY_BASE_DELAY_MS || '500'),
+      maxDelayMs: parseInt(process.env.EXCHANGE_RETRY_MAX_DELAY_MS || process.env.GATEIO_RETRY_MAX_DELAY_MS || '8000')
+    }
+  },
+
   // Gate.io API
   gateio: {
-    apiKey: process.env.GATEIO_API_KEY,
-    apiSecret: process.env.GATEIO_API_SECRET,
-    // Gate.io має тільки mainnet для production
-    baseURL: 'https://api.gateio.ws/api/v4',
-    // Position mode: 'single_mode' (one-way) або 'dual_mode' (hedge mode)
-    // В dual_mode можна мати одночасно LONG і SHORT позиції
-    positionMode: (process.env.GATEIO_POSITION_MODE || 'single_mode').toLowerCase()
+    apiKey: profileApiKey,
+    apiSecret: profileApiSecret,
+    baseURL: process.env.GATEIO_BASE_URL || profile.baseURL,
+    // WebSocket для real-time оновлень ордерів/позицій
+    wsURL: process.env.GATEIO_WS_URL || profile.wsURL,
+    // Звідки брати серверний час для підпису запитів
+    timeURL: process.env.GATEIO_BASE_URL ? `${process.env.GATEIO_BASE_URL}/spot/time` : profile.timeURL
+  },
+
+  // Bybit V5 API (акаунти з exchange: "bybit")
+  bybit: {
+    baseURL: process.env.BYBIT_BASE_URL || profile.bybit?.baseURL || null,
+    recvWindow: parseInt(process.env.BYBIT_RECV_WINDOW || '5000')
   },
 
   // Telegram
@@ -39,7 +239,22 @@ export const config = {
     percentage: parseFloat(process.env.RISK_PERCENTAGE || '2.5'),
     leverage: parseInt(process.env.LEVERAGE || '20'),
     takeProfitPercent: parseFloat(process.env.TAKE_PROFIT_PERCENT || '0.5'),
-    stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT || '0.3')
+    stopLossPercent: parseFloat(process.env.STOP_LOSS_PERCENT || '0.3'),
+    // Розмір позиції: 'margin' - RISK_PERCENTAGE балансу як маржа,
+    // 'stop_loss' - RISK_PERCENTAGE балансу як збиток при спрацюванні SL
+    sizingMode: (process.env.SIZING_MODE || 'margin').toLowerCase(),
+    // Margin mode: 'isolated' - збиток обмежений маржею позиції, 'cross' - весь futures баланс
+    marginMode: (process.env.MARGIN_MODE || 'isolated').toLowerCase(),
+    // Перевизначення по символах: SYMBOL_MARGIN_MODES=BTCUSDT:cross,ADAUSDT:isolated
+    symbolMarginModes: parseSymbolMap(process.env.SYMBOL_MARGIN_MODES),
+    // Ліміт плеча для cross margin (за замовчуванням і не більше - LEVERAGE)
+    crossLeverageLimit: process.env.CROSS_LEVERAGE_LIMIT ? parseInt(process.env.CROSS_LEVERAGE_LIMIT) : null,
+    // Мінімальна відстань між SL та оціночною ціною ліквідації (% від ціни входу)
+    liquidationBufferPercent: parseFloat(process.env.LIQUIDATION_BUFFER_PERCENT || '0.2'),
+    // SL занадто близько до ліквідації: 'reduce_leverage' - знизити плече, 'skip' - відмовитись від угоди
+    liquidationAction: (process.env.LIQUIDATION_ACTION || 'reduce_leverage').toLowerCase(),
+    // Maintenance margin rate, якщо біржа не віддає його в метаданих контракту (Bybit)
+    defaultMaintenanceRate: parseFloat(process.env.DEFAULT_MAINTENANCE_RATE || '0.005')
   },
 
   // Trading Settings
@@ -47,7 +262,89 @@ export const config = {
     allowedSymbols: (process.env.ALLOWED_SYMBOLS || 'ADAUSDT,TAOUSDT,UNIUSDT').split(',').map(s => s.trim()),
     maxDailyTrades: parseInt(process.env.MAX_DAILY_TRADES || '20'),
     maxOpenPositions: parseInt(process.env.MAX_OPEN_POSITIONS || '3'),
-    dryRun: process.env.DRY_RUN === 'true'
+    dryRun: process.env.DRY_RUN === 'true',
+    // Вхід: 'market' (IOC market), 'limit_ioc' (IOC limit зі стакану з обмеженням slippage)
+    // або 'maker' (post-only limit по найкращій ціні з переставлянням)
+    entryMode: (process.env.ENTRY_MODE || 'market').toLowerCase(),
+    // Максимальне відхилення ціни ліміту від найкращої ціни стакану, %
+    maxSlippagePercent: parseFloat(process.env.MAX_SLIPPAGE_PERCENT || '0.1'),
+    // Maker вхід: скільки разів виставляти post-only ордер і скільки часу загалом
+    makerMaxAttempts: parseInt(process.env.MAKER_MAX_ATTEMPTS || '5'),
+    makerMaxSeconds: parseInt(process.env.MAKER_MAX_SECONDS || '30'),
+    // Скільки секунд ордер стоїть до переставляння на нову найкращу ціну
+    makerRepriceSeconds: parseInt(process.env.MAKER_REPRICE_SECONDS || '5'),
+    // Що робити з невиконаним залишком: 'market' - добрати market ордером, 'abort' - відмовитись
+    makerFallback: (process.env.MAKER_FALLBACK || 'market').toLowerCase(),
+    // Сигнал, протилежний відкритій позиції, в dual_mode:
+    // 'ignore' - пропустити, 'hedge' - відкрити другу ногу (в single_mode завжди пропускається)
+    oppositeSignalPolicy: (process.env.OPPOSITE_SIGNAL_POLICY || 'ignore').toLowerCase(),
+    // Скільки разів пробуємо виставити TP/SL перед відкатом позиції
+    protectionAttempts: parseInt(process.env.PROTECTION_ATTEMPTS || '3'),
+    // Taker комісія (%): оцінка збитку при SL та закриття по SL в break-even
+    takerFeePercent: parseFloat(process.env.TAKER_FEE_PERCENT || '0.05')
+  },
+
+  // Funding: правила входу перед найближчим funding платежем
+  funding: {
+    // Правила діють, якщо до наступного funding менше ніж windowMinutes
+    windowMinutes: parseInt(process.env.FUNDING_WINDOW_MINUTES || '30'),
+    // Несприятлива ставка (%), від якої вхід пропускається (0 - вимкнено)
+    skipRatePercent: parseFloat(process.env.FUNDING_SKIP_RATE_PERCENT || '0.1'),
+    // Несприятлива ставка (%), від якої позиція зменшується (0 - вимкнено)
+    shrinkRatePercent: parseFloat(process.env.FUNDING_SHRINK_RATE_PERCENT || '0.05'),
+    // Множник ризику для зменшеної позиції
+    shrinkFactor: parseFloat(process.env.FUNDING_SHRINK_FACTOR || '0.5')
+  },
+
+  // Динамічні TP/SL від волатильності (LEVELS_MODE=fixed - TAKE_PROFIT_PERCENT / STOP_LOSS_PERCENT)
+  levels: {
+    // 'fixed' | 'atr' - Average True Range | 'volatility' - std відхилення log-доходностей
+    mode: (process.env.LEVELS_MODE || 'fixed').toLowerCase(),
+    candleInterval: process.env.LEVELS_CANDLE_INTERVAL || '5m',
+    period: parseInt(process.env.LEVELS_PERIOD || '14'),
+    // TP/SL = множник × показник волатильності (% від ціни)
+    takeProfitMultiple: parseFloat(process.env.LEVELS_TP_MULTIPLE || '2'),
+    stopLossMultiple: parseFloat(process.env.LEVELS_SL_MULTIPLE || '1'),
+    // Межі відсотків TP/SL
+    takeProfitMinPercent: parseFloat(process.env.LEVELS_TP_MIN_PERCENT || '0.3'),
+    takeProfitMaxPercent: parseFloat(process.env.LEVELS_TP_MAX_PERCENT || '3'),
+    stopLossMinPercent: parseFloat(process.env.LEVELS_SL_MIN_PERCENT || '0.2'),
+    stopLossMaxPercent: parseFloat(process.env.LEVELS_SL_MAX_PERCENT || '2')
+  },
+
+  // Trailing stop: SL йде за mark price після досягнення порогу прибутку
+  trailing: {
+    enabled: process.env.TRAILING_STOP_ENABLED === 'true',
+    // Прибуток (% від ціни входу), з якого SL починає рухатись
+    activationPercent: parseFloat(process.env.TRAILING_ACTIVATION_PERCENT || '0.3'),
+    // Відстань SL від mark price: 'percent' - TRAILING_DISTANCE_PERCENT, 'atr' - TRAILING_ATR_MULTIPLE × ATR
+    // (ATR за LEVELS_CANDLE_INTERVAL / LEVELS_PERIOD, рахується один раз при активації)
+    distanceMode: (process.env.TRAILING_DISTANCE_MODE || 'percent').toLowerCase(),
+    distancePercent: parseFloat(process.env.TRAILING_DISTANCE_PERCENT || '0.2'),
+    atrMultiple: parseFloat(process.env.TRAILING_ATR_MULTIPLE || '1'),
+    // Мінімальний крок переміщення SL (% від ціни входу) та пауза між замінами ордера
+    minStepPercent: parseFloat(process.env.TRAILING_MIN_STEP_PERCENT || '0.05'),
+    minIntervalSeconds: parseInt(process.env.TRAILING_MIN_INTERVAL_SECONDS || '10')
+  },
+
+  // Break-even: SL переноситься на ціну входу + комісії, коли ціна пройшла частину шляху до TP
+  breakEven: {
+    enabled: process.env.BREAK_EVEN_ENABLED === 'true',
+    // Частка відстані до TP (%), після якої SL переноситься
+    triggerPercentOfTp: parseFloat(process.env.BREAK_EVEN_TRIGGER_PERCENT || '70'),
+    // Додатковий запас понад комісії (% від ціни входу)
+    bufferPercent: parseFloat(process.env.BREAK_EVEN_BUFFER_PERCENT || '0')
+  },
+
+  // Кеш метаданих контрактів
+  contracts: {
+    refreshIntervalMs: parseInt(process.env.CONTRACTS_REFRESH_MINUTES || '60') * 60 * 1000
+  },
+
+  // Синхронізація часу з сервером Gate.io
+  timeSync: {
+    intervalMs: parseInt(process.env.TIME_SYNC_INTERVAL_MINUTES || '10') * 60 * 1000,
+    driftWarnMs: parseInt(process.env.TIME_DRIFT_WARN_MS || '1000')
   },
 
   // Trading Hours (UTC)
@@ -59,6 +356,15 @@ export const config = {
   }
 };
 
+config.accounts = loadAccounts(config);
+
+// Облікові дані Gate.io за замовчуванням - першого Gate.io акаунта (публічні запити, скрипти)
+const defaultGateAccount = config.accounts.find(account => account.exchange === 'gateio');
+if (defaultGateAccount) {
+  config.gateio.apiKey = defaultGateAccount.apiKey;
+  config.gateio.apiSecret = defaultGateAccount.apiSecret;
+}
+
 // Валідація конфігурації
 if (config.risk.percentage <= 0 || config.risk.percentage > 100) {
   throw new Error('RISK_PERCENTAGE must be between 0 and 100');
@@ -68,6 +374,32 @@ if (config.risk.leverage <= 0 || config.risk.leverage > 100) {
   throw new Error('LEVERAGE must be between 1 and 100');
 }
 
+for (const [symbol, mode] of Object.entries({ '*': config.risk.marginMode, ...config.risk.symbolMarginModes })) {
+  if (!['isolated', 'cross'].includes(mode)) {
+    throw new Error(`Margin mode for ${symbol === '*' ? 'MARGIN_MODE' : symbol} must be either "isolated" or "cross"`);
+  }
+}
+
+if (config.risk.crossLeverageLimit !== null && !(config.risk.crossLeverageLimit >= 1 && config.risk.crossLeverageLimit <= 100)) {
+  throw new Error('CROSS_LEVERAGE_LIMIT must be between 1 and 100');
+}
+
+if (!['margin', 'stop_loss'].includes(config.risk.sizingMode)) {
+  throw new Error('SIZING_MODE must be either "margin" or "stop_loss"');
+}
+
+if (!(config.risk.liquidationBufferPercent >= 0)) {
+  throw new Error('LIQUIDATION_BUFFER_PERCENT must be 0 or greater');
+}
+
+if (!['reduce_leverage', 'skip'].includes(config.risk.liquidationAction)) {
+  throw new Error('LIQUIDATION_ACTION must be either "reduce_leverage" or "skip"');
+}
+
+if (!(config.risk.defaultMaintenanceRate >= 0 && config.risk.defaultMaintenanceRate < 1)) {
+  throw new Error('DEFAULT_MAINTENANCE_RATE must be between 0 and 1');
+}
+
 if (config.trading.maxDailyTrades <= 0) {
   throw new Error('MAX_DAILY_TRADES must be greater than 0');
 }
@@ -76,6 +408,98 @@ if (config.trading.maxOpenPositions <= 0) {
   throw new Error('MAX_OPEN_POSITIONS must be greater than 0');
 }
 
+if (!['market', 'limit_ioc', 'maker'].includes(config.trading.entryMode)) {
+  throw new Error('ENTRY_MODE must be one of "market", "limit_ioc" or "maker"');
+}
+
+if (!(config.trading.makerMaxAttempts >= 1)) {
+  throw new Error('MAKER_MAX_ATTEMPTS must be at least 1');
+}
+
+if (!(config.trading.makerMaxSeconds >= 1) || !(config.trading.makerRepriceSeconds >= 1)) {
+  throw new Error('MAKER_MAX_SECONDS and MAKER_REPRICE_SECONDS must be at least 1');
+}
+
+if (!['market', 'abort'].includes(config.trading.makerFallback)) {
+  throw new Error('MAKER_FALLBACK must be either "market" or "abort"');
+}
+
+if (!['ignore', 'hedge'].includes(config.trading.oppositeSignalPolicy)) {
+  throw new Error('OPPOSITE_SIGNAL_POLICY must be either "ignore" or "hedge"');
+}
+
+if (!(config.funding.windowMinutes >= 0)) {
+  throw new Error('FUNDING_WINDOW_MINUTES must be 0 or greater');
+}
+
+if (!(config.funding.skipRatePercent >= 0) || !(config.funding.shrinkRatePercent >= 0)) {
+  throw new Error('FUNDING_SKIP_RATE_PERCENT and FUNDING_SHRINK_RATE_PERCENT must be 0 or greater');
+}
+
+if (!(config.funding.shrinkFactor > 0) || config.funding.shrinkFactor > 1) {
+  throw new Error('FUNDING_SHRINK_FACTOR must be between 0 and 1');
+}
+
+if (!['fixed', 'atr', 'volatility'].includes(config.levels.mode)) {
+  throw new Error('LEVELS_MODE must be one of: fixed, atr, volatility');
+}
+
+if (!['1m', '5m', '15m', '30m', '1h', '4h', '1d'].includes(config.levels.candleInterval)) {
+  throw new Error('LEVELS_CANDLE_INTERVAL must be one of: 1m, 5m, 15m, 30m, 1h, 4h, 1d');
+}
+
+if (!(config.levels.period >= 2)) {
+  throw new Error('LEVELS_PERIOD must be at least 2');
+}
+
+if (!(config.levels.takeProfitMultiple > 0) || !(config.levels.stopLossMultiple > 0)) {
+  throw new Error('LEVELS_TP_MULTIPLE and LEVELS_SL_MULTIPLE must be greater than 0');
+}
+
+if (!(config.levels.takeProfitMinPercent > 0) || config.levels.takeProfitMinPercent > config.levels.takeProfitMaxPercent) {
+  throw new Error('LEVELS_TP_MIN_PERCENT must be greater than 0 and not above LEVELS_TP_MAX_PERCENT');
+}
+
+if (!(config.levels.stopLossMinPercent > 0) || config.levels.stopLossMinPercent > config.levels.stopLossMaxPercent) {
+  throw new Error('LEVELS_SL_MIN_PERCENT must be greater than 0 and not above LEVELS_SL_MAX_PERCENT');
+}
+
+if (!(config.trailing.activationPercent >= 0)) {
+  throw new Error('TRAILING_ACTIVATION_PERCENT must be 0 or greater');
+}
+
+if (!['percent', 'atr'].includes(config.trailing.distanceMode)) {
+  throw new Error('TRAILING_DISTANCE_MODE must be either "percent" or "atr"');
+}
+
+if (!(config.trailing.distancePercent > 0) || !(config.trailing.atrMultiple > 0)) {
+  throw new Error('TRAILING_DISTANCE_PERCENT and TRAILING_ATR_MULTIPLE must be greater than 0');
+}
+
+if (!(config.trailing.minStepPercent >= 0) || !(config.trailing.minIntervalSeconds >= 0)) {
+  throw new Error('TRAILING_MIN_STEP_PERCENT and TRAILING_MIN_INTERVAL_SECONDS must be 0 or greater');
+}
+
+if (!(config.breakEven.triggerPercentOfTp > 0 && config.breakEven.triggerPercentOfTp < 100)) {
+  throw new Error('BREAK_EVEN_TRIGGER_PERCENT must be between 0 and 100');
+}
+
+if (!(config.breakEven.bufferPercent >= 0)) {
+  throw new Error('BREAK_EVEN_BUFFER_PERCENT must be 0 or greater');
+}
+
+if (!(config.trading.protectionAttempts >= 1)) {
+  throw new Error('PROTECTION_ATTEMPTS must be at least 1');
+}
+
+if (!(config.trading.takerFeePercent >= 0 && config.trading.takerFeePercent < 1)) {
+  throw new Error('TAKER_FEE_PERCENT must be between 0 and 1');
+}
+
+if (!(config.trading.maxSlippagePercent > 0) || config.trading.maxSlippagePercent > 10) {
+  throw new Error('MAX_SLIPPAGE_PERCENT must be between 0 and 10');
+}
+
 if (config.tradingHours.startHour < 0 || config.tradingHours.startHour > 23) {
   throw new Error('TRADING_START_HOUR must be between 0 and 23');
 }
@@ -84,8 +508,34 @@ if (config.tradingHours.endHour < 0 || config.tradingHours.endHour > 23) {
   throw new Error('TRADING_END_HOUR must be between 0 and 23');
 }
 
-if (!['single_mode', 'dual_mode'].includes(config.gateio.positionMode)) {
-  throw new Error('GATEIO_POSITION_MODE must be either "single_mode" or "dual_mode"');
+for (const account of config.accounts) {
+  if (account.risk.percentage <= 0 || account.risk.percentage > 100) {
+    throw new Error(`Account "${account.id}": riskPercentage must be between 0 and 100`);
+  }
+
+  if (account.risk.leverage <= 0 || account.risk.leverage > 100) {
+    throw new Error(`Account "${account.id}": leverage must be between 1 and 100`);
+  }
+}
+
+if (new Set(config.accounts.map(a => a.id)).size !== config.accounts.length) {
+  throw new Error('Account ids in ACCOUNTS_FILE must be unique');
+}
+
+if (config.contracts.refreshIntervalMs <= 0) {
+  throw new Error('CONTRACTS_REFRESH_MINUTES must be greater than 0');
+}
+
+if (config.timeSync.intervalMs <= 0) {
+  throw new Error('TIME_SYNC_INTERVAL_MINUTES must be greater than 0');
+}
+
+if (config.exchange.retry.maxRetries < 0) {
+  throw new Error('EXCHANGE_MAX_RETRIES must be 0 or greater');
+}
+
+if (!['single_mode', 'dual_mode'].includes(config.exchange.positionMode)) {
+  throw new Error('POSITION_MODE must be either "single_mode" or "dual_mode"');
 }
 
 export default config;
@@ -7,27 +7,14 @@ if (process.env.NODE_ENV !== 'production') {
 
 import { config } from './config/settings.js';
 import logger from './utils/logger.js';
-import gateioService from './services/gateio.service.js';
 import telegramService from './services/telegram.service.js';
-import positionService from './services/position.service.js';
-import riskService from './services/risk.service.js';
-import { isTradingHoursActive, getTradingHoursInfo } from './services/time.service.js';
-import { isSymbolAllowed, getCurrentDate } from './utils/helpers.js';
-
-
-// Статистика
-const statistics = {
-  totalTrades: 0,
-  winTrades: 0,
-  loseTrades: 0,
-  totalProfit: 0,
-  startBalance: 0,
-  currentBalance: 0,
-  dailyTrades: 0,
-  signalsIgnored: 0,
-  totalSignals: 0,
-  lastResetDate: getCurrentDate()
-};
+import accountService from './services/account.service.js';
+import { handleSignal, ENTRY_MODE_LABELS } from './services/signal.service.js';
+import timeSyncService from './services/time-sync.service.js';
+import { getCurrentDate } from './utils/helpers.js';
+import { runWithLogContext } from './utils/correlation.js';
+
+const accounts = accountService.getAll();
 
 /**
  * Ініціалізація бота
@@ -35,39 +22,76 @@ const statistics = {
 async function initialize() {
   try {
     logger.info('='.repeat(50));
-    logger.info('Starting Gate.io Futures Trading Bot...');
+    logger.info(`Starting ${formatExchangeLabels()} Futures Trading Bot...`);
     logger.info('='.repeat(50));
 
-    // Підключення до Gate.io
-    await gateioService.connect();
-    
-    // Отримуємо початковий баланс
-    statistics.startBalance = await gateioService.getUSDTBalance();
-    statistics.currentBalance = statistics.startBalance;
-    
-    logger.info(`[INIT] Starting balance: ${statistics.startBalance} USDT`);
-    logger.info(`[INIT] Dry Run mode: ${config.trading.dryRun ? 'ENABLED' : 'DISABLED'}`);
-    logger.info(`[INIT] Allowed symbols: ${config.trading.allowedSymbols.join(', ')}`);
-    logger.info(`[INIT] Risk: ${config.risk.percentage}%, Leverage: ${config.risk.leverage}x`);
+    // Синхронізація годинника до першого підписаного запиту
+    timeSyncService.on('drift', handleClockDrift);
+    try {
+      await timeSyncService.sync();
+    } catch (error) {
+      logger.warn(`[INIT] Time sync failed, using local clock: ${error.message}`);
+    }
+    timeSyncService.start();
+
+    logger.info(`[INIT] Environment: ${config.exchange.environmentLabel}`);
     logger.info(`[INIT] Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC`);
-    logger.info(`[INIT] Position mode: ${config.gateio.positionMode}`);
+    logger.info(`[INIT] Position mode: ${config.exchange.positionMode}`);
+    logger.info(`[INIT] Margin mode: ${formatMarginModes()}`);
+    logger.info(`[INIT] TP/SL levels: ${formatLevelsMode()}`);
+    logger.info(
+      `[INIT] Trailing stop: ${config.trailing.enabled
+        ? `from +${config.trailing.activationPercent}%, ` +
+          `${config.trailing.distanceMode === 'atr' ? `${config.trailing.atrMultiple}× ATR` : `${config.trailing.distancePercent}%`} behind mark`
+        : 'disabled'}`
+    );
+    logger.info(
+      `[INIT] Break-even: ${config.breakEven.enabled
+        ? `at ${config.breakEven.triggerPercentOfTp}% of TP distance, entry + fees ` +
+          `(exit taker ${config.trading.takerFeePercent}%, buffer ${config.breakEven.bufferPercent}%)`
+        : 'disabled'}`
+    );
+
+    // Підключення кожного акаунта до його біржі
+    for (const account of accounts) {
+      await runWithLogContext({ accountId: account.id }, () => initializeAccount(account));
+    }
+
+    // Контракти вже отримані під час connect - кешуємо їх без повторного запиту
+    for (const registry of accountService.getRegistries()) {
+      await registry.initialize(registry.exchange.contractsSnapshot);
+      registry.startRefresh();
+    }
+
+    for (const account of accounts) {
+      await runWithLogContext({ accountId: account.id }, () => startAccount(account));
+    }
 
     // Реєструємо обробник сигналів
     telegramService.onSignal(handleSignal);
 
-    // Запускаємо моніторинг позицій
-    positionService.startMonitoring(30000); // Перевірка кожні 30 секунд
-
     // Відправляємо повідомлення про запуск
     if (!config.trading.dryRun) {
+      const accountLines = accounts
+        .map(account =>
+          `• ${account.label} (${account.exchange.label}): ${account.statistics.startBalance.toFixed(2)} USDT, ` +
+          `${account.risk.percentage}% (${account.risk.sizingMode}) / ${account.risk.leverage}x` +
+          `${account.dryRun ? ' (DRY RUN)' : ''}`
+        )
+        .join('\n');
       await telegramService.sendMessage(
         config.telegram.channelId,
-        `🤖 <b>GATE.IO TRADING BOT STARTED</b>\n\n` +
-        `Exchange: Gate.io\n` +
-        `Position Mode: ${config.gateio.positionMode}\n` +
-        `Balance: ${statistics.startBalance.toFixed(2)} USDT\n` +
+        `🤖 <b>${formatExchangeLabels().toUpperCase()} TRADING BOT STARTED</b>\n\n` +
+        `Exchange: ${formatExchangeLabels()}\n` +
+        `Environment: ${telegramService.formatEnvironmentTag()}\n` +
+        `Position Mode: ${config.exchange.positionMode}` +
+        `${config.exchange.positionMode === 'dual_mode' ? ` (opposite signals: ${config.trading.oppositeSignalPolicy})` : ''}\n` +
+        `Margin Mode: ${formatMarginModes()}\n` +
+        `TP/SL Levels: ${formatLevelsMode()}\n` +
+        `Accounts:\n${accountLines}\n` +
         `Mode: ${config.trading.dryRun ? 'DRY RUN' : 'LIVE TRADING'}\n` +
         `Trading hours: ${config.tradingHours.startHour}:00-${config.tradingHours.endHour}:00 UTC\n\n` +
+        `ℹ️ ${ENTRY_MODE_LABELS[config.trading.entryMode]}\n` +
         `ℹ️ Using Limit orders for TP/SL (0.02% fee)`
       );
     }
@@ -84,298 +108,88 @@ async function initialize() {
 }
 
 /**
- * Обробка торговельного сигналу
+ * Підключення акаунта та початковий баланс
  */
-async function handleSignal(signal) {
-  try {
-    statistics.totalSignals++;
-    
-    const { symbol, direction, timestamp } = signal;
-    
-    logger.info(`[SIGNAL] Processing: ${symbol} ${direction}`);
+async function initializeAccount(account) {
+  await account.exchange.connect();
 
-    // Валідація сигналу
-    const validation = await validateSignal(signal);
-    
-    if (!validation.valid) {
-      logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
-      
-      try {
-        if (!config.trading.dryRun) {
-          await telegramService.sendMessage(
-            config.telegram.channelId,
-            telegramService.formatSignalIgnoredMessage(symbol, direction, validation.reason, validation.info)
-          );
-        }
-      } catch (telegramError) {
-        logger.error(`[SIGNAL] Error sending ignored message: ${telegramError.message}`);
-      }
-      
-      if (validation.reason.includes('trading hours')) {
-        statistics.signalsIgnored++;
-      }
-      
-      return;
-    }
+  account.statistics.startBalance = await account.exchange.getUSDTBalance();
+  account.statistics.currentBalance = account.statistics.startBalance;
 
-    // Відкриваємо позицію
-    await openPosition(signal);
-    
-  } catch (error) {
-    logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
-    logger.error(`[SIGNAL] Stack trace: ${error.stack}`);
-    
-    try {
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          `❌ <b>ERROR PROCESSING SIGNAL</b>\n\n` +
-          `Symbol: ${signal.symbol || 'UNKNOWN'}\n` +
-          `Direction: ${signal.direction || 'UNKNOWN'}\n` +
-          `Error: ${error.message}`
-        );
-      }
-    } catch (telegramError) {
-      logger.error(`[SIGNAL] Error sending error message: ${telegramError.message}`);
-    }
-  }
+  logger.info(`[INIT] Account: ${account.label} (${account.exchange.label})`);
+  logger.info(`[INIT] Starting balance: ${account.statistics.startBalance} USDT`);
+  logger.info(`[INIT] Dry Run mode: ${account.dryRun ? 'ENABLED' : 'DISABLED'}`);
+  logger.info(`[INIT] Allowed symbols: ${account.allowedSymbols.join(', ')}`);
+  logger.info(`[INIT] Risk: ${account.risk.percentage}% (${account.risk.sizingMode} sizing), Leverage: ${account.risk.leverage}x`);
 }
 
 /**
- * Валідація сигналу перед відкриттям позиції
+ * Відновлення позицій акаунта та запуск моніторингу
  */
-async function validateSignal(signal) {
-  const { symbol, direction } = signal;
-
-  // 1. Перевірка символу
-  if (!isSymbolAllowed(symbol, config.trading.allowedSymbols.join(','))) {
-    return {
-      valid: false,
-      reason: `Symbol ${symbol} not in allowed list`,
-      info: {}
-    };
-  }
+async function startAccount(account) {
+  // Відновлюємо позиції та TP/SL ордери, що залишилися на біржі після рестарту
+  const reconciliation = await account.positions.reconcileWithExchange();
+  logger.info(`[INIT] Adopted positions: ${reconciliation.adopted.length}`);
 
-  // 2. Перевірка напрямку
-  if (direction !== 'LONG' && direction !== 'SHORT') {
-    return {
-      valid: false,
-      reason: `Invalid direction: ${direction}`,
-      info: {}
-    };
-  }
-
-  // 3. Перевірка торговельних годин
-  if (!isTradingHoursActive()) {
-    const hoursInfo = getTradingHoursInfo();
-    return {
-      valid: false,
-      reason: 'Outside trading hours',
-      info: {
-        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
-        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
-        nextTrading: hoursInfo.nextTradingIn
-      }
-    };
-  }
-
-  // 4. Перевірка відкритих позицій
-  if (positionService.hasOpenPosition(symbol)) {
-    return {
-      valid: false,
-      reason: `Open position already exists for ${symbol}`,
-      info: {}
-    };
-  }
-
-  // 5. Перевірка максимальної кількості відкритих позицій
-  if (positionService.getOpenPositionsCount() >= config.trading.maxOpenPositions) {
-    return {
-      valid: false,
-      reason: `Maximum open positions (${config.trading.maxOpenPositions}) reached`,
-      info: {}
-    };
+  if (reconciliation.adopted.length > 0 || reconciliation.orphanOrders.length > 0) {
+    await account.notify(telegramService.formatReconciliationMessage(reconciliation));
   }
 
-  // 6. Перевірка максимальної кількості угод на день
-  if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
-    return {
-      valid: false,
-      reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
-      info: {}
-    };
-  }
-
-  // 7. Перевірка балансу
-  try {
-    const balance = await gateioService.getUSDTBalance();
-    statistics.currentBalance = balance;
-    
-    if (balance <= 0) {
-      return {
-        valid: false,
-        reason: 'Insufficient balance',
-        info: {}
-      };
-    }
-  } catch (error) {
-    return {
-      valid: false,
-      reason: `Error checking balance: ${error.message}`,
-      info: {}
-    };
-  }
+  // Запускаємо моніторинг позицій (WebSocket + REST polling як резерв)
+  account.positions.startMonitoring(30000); // Перевірка кожні 30 секунд
+  account.ws?.connect({
+    userId: account.exchange.userId,
+    symbols: account.allowedSymbols
+  });
+}
 
-  // 8. Перевірка що символ існує та торгується
-  try {
-    const symbolInfo = await gateioService.getSymbolInfo(symbol);
-    if (symbolInfo.status !== 'Trading') {
-      return {
-        valid: false,
-        reason: `Symbol ${symbol} is not trading`,
-        info: {}
-      };
+/**
+ * Попередження про розбіжність локального годинника з Gate.io - в канал кожного акаунта
+ */
+async function handleClockDrift({ offsetMs, thresholdMs }) {
+  for (const account of accounts) {
+    try {
+      await account.notify(
+        `⏱ <b>CLOCK DRIFT DETECTED</b>\n\n` +
+        `Offset vs Gate.io: ${offsetMs}ms (threshold ${thresholdMs}ms)\n` +
+        `Signed requests and trading hours use the corrected time.`
+      );
+    } catch (error) {
+      logger.error(`[TIME-SYNC] Error sending drift warning to ${account.id}: ${error.message}`);
     }
-  } catch (error) {
-    return {
-      valid: false,
-      reason: `Symbol ${symbol} not found or error: ${error.message}`,
-      info: {}
-    };
   }
-
-  return { valid: true };
 }
 
 /**
- * Відкриття позиції
+ * Біржі акаунтів для логів та стартового повідомлення: "Gate.io, Bybit"
  */
-async function openPosition(signal) {
-  const { symbol, direction, timestamp } = signal;
-  
-  try {
-    logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
-
-    // Отримуємо поточний баланс
-    const balance = await gateioService.getUSDTBalance();
-    statistics.currentBalance = balance;
-
-    // Отримуємо поточну ціну
-    const currentPrice = await gateioService.getCurrentPrice(symbol);
-    
-    // Отримуємо інформацію про символ
-    const symbolInfo = await gateioService.getSymbolInfo(symbol);
-
-    // Розраховуємо параметри позиції
-    const positionParams = riskService.calculatePositionParameters(
-      balance,
-      currentPrice,
-      direction,
-      symbolInfo
-    );
-
-    // Перевірка достатності балансу
-    if (!riskService.hasSufficientBalance(balance, positionParams.requiredMargin)) {
-      throw new Error(`Insufficient balance. Required: ${positionParams.requiredMargin} USDT, Available: ${balance} USDT`);
-    }
-
-    if (config.trading.dryRun) {
-      // DRY RUN режим - тільки логування
-      logger.info('[DRY RUN] Would open position:');
-      logger.info(`  Symbol: ${symbol}`);
-      logger.info(`  Direction: ${direction}`);
-      logger.info(`  Entry Price: ${positionParams.entryPrice}`);
-      logger.info(`  Quantity: ${positionParams.quantity}`);
-      logger.info(`  Take Profit: ${positionParams.takeProfit} (Limit order, 0.02% fee)`);
-      logger.info(`  Stop Loss: ${positionParams.stopLoss} (Limit order, 0.02% fee)`);
-      logger.info(`  Required Margin: ${positionParams.requiredMargin} USDT`);
-      
-      // Симулюємо успішне відкриття
-      positionService.addOpenPosition({
-        symbol,
-        direction,
-        entryPrice: positionParams.entryPrice,
-        quantity: positionParams.quantity,
-        takeProfit: positionParams.takeProfit,
-        stopLoss: positionParams.stopLoss,
-        orderId: 'DRY_RUN_' + Date.now(),
-        timestamp,
-        tpOrderId: 'DRY_RUN_TP',
-        slOrderId: 'DRY_RUN_SL'
-      });
-
-      statistics.totalTrades++;
-      statistics.dailyTrades++;
-      
-      return;
-    }
-
-    // Реальна торгівля
-    // 1. Встановлюємо плече
-    await gateioService.setLeverage(symbol, config.risk.leverage);
-
-    // 2. Відкриваємо Market ордер (0.05% комісія)
-    const side = direction === 'LONG' ? 'Buy' : 'Sell';
-    const orderResult = await gateioService.openMarketOrder(
-      symbol,
-      side,
-      positionParams.quantity,
-      direction
-    );
-
-    // 3. Встановлюємо Take Profit через Limit ордер (0.02% комісія при виконанні)
-    const tpResult = await gateioService.setTakeProfitLimit(
-      symbol,
-      side,
-      positionParams.takeProfit,
-      positionParams.quantity,
-      direction
-    );
+function formatExchangeLabels() {
+  return [...new Set(accounts.map(account => account.exchange.label))].join(', ');
+}
 
-    // 4. Встановлюємо Stop Loss через Price-Triggered Limit ордер (0.02% комісія при виконанні)
-    const slResult = await gateioService.setStopLossLimit(
-      symbol,
-      side,
-      positionParams.stopLoss,
-      positionParams.quantity,
-      direction
-    );
+/**
+ * Margin mode для логів: глобальний, cross ліміт та перевизначення по символах
+ */
+function formatMarginModes() {
+  const { marginMode, crossLeverageLimit, symbolMarginModes } = config.risk;
+  const overrides = Object.entries(symbolMarginModes).map(([symbol, mode]) => `${symbol}: ${mode}`);
 
-    // 5. Додаємо позицію до моніторингу
-    positionService.addOpenPosition({
-      symbol,
-      direction,
-      entryPrice: positionParams.entryPrice,
-      quantity: positionParams.quantity,
-      takeProfit: positionParams.takeProfit,
-      stopLoss: positionParams.stopLoss,
-      orderId: orderResult.orderId,
-      timestamp,
-      tpOrderId: tpResult.orderId,
-      slOrderId: slResult.orderId
-    });
-
-    // 6. Оновлюємо статистику
-    statistics.totalTrades++;
-    statistics.dailyTrades++;
-
-    // 7. Відправляємо повідомлення в Telegram
-    await telegramService.sendMessage(
-      config.telegram.channelId,
-      telegramService.formatPositionOpenedMessage({
-        ...positionParams,
-        balance,
-        timestamp
-      })
-    );
+  return `${marginMode}` +
+    `${crossLeverageLimit ? ` (cross limit ${crossLeverageLimit}x)` : ''}` +
+    `${overrides.length > 0 ? ` [${overrides.join(', ')}]` : ''}`;
+}
 
-    logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
-    logger.info(`[TRADE] Market entry (0.05% fee), TP/SL as Limit orders (0.02% fee)`);
+/**
+ * Режим TP/SL для логів: фіксовані відсотки або множники показника волатильності
+ */
+function formatLevelsMode() {
+  const { mode, candleInterval, period, takeProfitMultiple, stopLossMultiple } = config.levels;
 
-  } catch (error) {
-    logger.error(`[TRADE] Error opening position: ${error.message}`);
-    throw error;
+  if (mode === 'fixed') {
+    return `fixed TP ${config.risk.takeProfitPercent}% / SL ${config.risk.stopLossPercent}%`;
   }
+
+  return `${mode}(${period}, ${candleInterval}) TP ${takeProfitMultiple}× / SL ${stopLossMultiple}×`;
 }
 
 /**
@@ -394,18 +208,29 @@ function scheduleDailyReport() {
   const msUntilReport = reportTime - now;
   
   setTimeout(() => {
-    sendDailyReport();
+    sendDailyReports();
     // Плануємо наступний звіт
-    setInterval(sendDailyReport, 24 * 60 * 60 * 1000); // Кожні 24 години
+    setInterval(sendDailyReports, 24 * 60 * 60 * 1000); // Кожні 24 години
   }, msUntilReport);
   
   logger.info(`[REPORT] Daily report scheduled for ${reportTime.toISOString()}`);
 }
 
 /**
- * Відправляє щоденний звіт
+ * Відправляє щоденний звіт по кожному акаунту
  */
-async function sendDailyReport() {
+async function sendDailyReports() {
+  for (const account of accounts) {
+    await runWithLogContext({ accountId: account.id }, () => sendDailyReport(account));
+  }
+}
+
+/**
+ * Відправляє щоденний звіт акаунта
+ */
+async function sendDailyReport(account) {
+  const { positions, statistics } = account;
+
   try {
     const currentDate = getCurrentDate();
     
@@ -413,12 +238,13 @@ async function sendDailyReport() {
     if (currentDate !== statistics.lastResetDate) {
       statistics.dailyTrades = 0;
       statistics.signalsIgnored = 0;
+      statistics.failedEntries = 0;
       statistics.lastResetDate = currentDate;
-      positionService.resetDailyStatistics();
+      positions.resetDailyStatistics();
     }
 
-    const posStats = positionService.getStatistics();
-    const currentBalance = await gateioService.getUSDTBalance();
+    const posStats = positions.getStatistics();
+    const currentBalance = await account.exchange.getUSDTBalance();
     const startBalance = statistics.startBalance;
     const totalPnl = currentBalance - startBalance;
     const roi = startBalance > 0 ? (totalPnl / startBalance) * 100 : 0;
@@ -432,20 +258,20 @@ async function sendDailyReport() {
       totalSignals: statistics.totalSignals,
       signalsIgnored: statistics.signalsIgnored,
       totalTrades: posStats.totalTrades,
+      failedEntries: statistics.failedEntries,
       winTrades: posStats.winTrades,
       loseTrades: posStats.loseTrades,
       totalPnl: totalPnl,
+      totalGrossPnl: posStats.totalGrossPnl,
+      totalFees: posStats.totalFees,
+      totalFunding: posStats.totalFunding,
+      totalNetPnl: posStats.totalPnl,
       roi: roi,
       startBalance: startBalance,
       currentBalance: currentBalance
     };
 
-    if (!config.trading.dryRun) {
-      await telegramService.sendMessage(
-        config.telegram.channelId,
-        telegramService.formatDailyReport(report)
-      );
-    }
+    await account.notify(telegramService.formatDailyReport(report));
 
     logger.info('[REPORT] Daily report sent');
   } catch (error) {
@@ -453,20 +279,37 @@ async function sendDailyReport() {
   }
 }
 
+/**
+ * Зупиняє моніторинг та WebSocket всіх акаунтів
+ */
+function stopServices() {
+  for (const account of accounts) {
+    account.positions.stopMonitoring();
+    account.ws?.disconnect();
+  }
+  for (const registry of accountService.getRegistries()) {
+    registry.stopRefresh();
+  }
+  timeSyncService.stop();
+}
+
 /**
  * Обробка завершення програми
  */
 process.on('SIGINT', async () => {
   logger.info('\n[SHUTDOWN] Received SIGINT, shutting down gracefully...');
   
-  positionService.stopMonitoring();
+  stopServices();
   
   if (!config.trading.dryRun) {
+    const openPositions = accounts.reduce((sum, account) => sum + account.positions.getOpenPositionsCount(), 0);
+    const dailyTrades = accounts.reduce((sum, account) => sum + account.statistics.dailyTrades, 0);
+
     await telegramService.sendMessage(
       config.telegram.channelId,
-      `🛑 <b>GATE.IO TRADING BOT STOPPED</b>\n\n` +
-      `Open positions: ${positionService.getOpenPositionsCount()}\n` +
-      `Total trades today: ${statistics.dailyTrades}`
+      `🛑 <b>${formatExchangeLabels().toUpperCase()} TRADING BOT STOPPED</b>\n\n` +
+      `Open positions: ${openPositions}\n` +
+      `Total trades today: ${dailyTrades}`
     );
   }
   
@@ -476,7 +319,7 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('\n[SHUTDOWN] Received SIGTERM, shutting down gracefully...');
   
-  positionService.stopMonitoring();
+  stopServices();
   process.exit(0);
 });
 
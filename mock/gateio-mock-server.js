@@ -0,0 +1,904 @@
+import crypto from 'crypto';
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import logger from '../utils/logger.js';
+
+/**
+ * Локальний mock Gate.io Futures API v4 (USDT settle)
+ *
+ * - перевіряє HMAC-SHA512 підпис так само як біржа (KEY / Timestamp / SIGN)
+ * - тримає в пам'яті акаунт, позиції, ордери, price-triggered ордери та угоди
+ * - виконує ордери проти сценарію цін (scenario.prices), один тік кожні scenario.tickMs
+ * - WebSocket на /v4/ws/usdt: futures.orders, futures.usertrades, futures.positions, futures.tickers
+ * - scenario.positionMode: 'dual_mode' - hedge mode з окремими dual_long / dual_short позиціями;
+ *   закриття ноги, як на біржі, тільки через size 0 + auto_size (price-ордери - ще й order_type)
+ *
+ * Підтримуються тільки ті endpoint'и, які використовує бот.
+ */
+
+const API_PREFIX = '/api/v4';
+const WS_PATH = '/v4/ws/usdt';
+const TAKER_FEE = 0.0005;
+const MAKER_FEE = 0.0002;
+// Запит з Timestamp старшим за 60 секунд біржа відхиляє
+const MAX_TIMESTAMP_SKEW_SEC = 60;
+// dual mode: нога, яку закриває auto_size, і відповідний order_type price-ордера
+const AUTO_SIZE_MODES = { close_long: 'dual_long', close_short: 'dual_short' };
+const AUTO_SIZE_ORDER_TYPES = { close_long: 'close-long-position', close_short: 'close-short-position' };
+
+class MockApiError extends Error {
+  constructor(status, label, message) {
+    super(message || label);
+    this.status = status;
+    this.label = label;
+  }
+}
+
+function round8(value) {
+  return Math.round(value * 1e8) / 1e8;
+}
+
+function positionKey(contract, mode) {
+  return `${contract}:${mode}`;
+}
+
+export class MockGateIOServer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.scenario - контракти, стартовий баланс та стрічка цін
+   * @param {string} options.apiKey
+   * @param {string} options.apiSecret
+   */
+  constructor({ scenario, apiKey = 'mock-key', apiSecret = 'mock-secret' }) {
+    this.scenario = scenario;
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.userId = scenario.userId || 10001;
+    this.tickMs = scenario.tickMs || 1000;
+
+    this.contracts = new Map(scenario.contracts.map(c => [c.name, { ...c }]));
+    this.prices = new Map();
+    this.feedIndex = new Map();
+    for (const contract of this.contracts.values()) {
+      const feed = scenario.prices?.[contract.name] || [];
+      this.prices.set(contract.name, parseFloat(contract.last_price || feed[0] || '0'));
+      this.feedIndex.set(contract.name, 0);
+    }
+
+    this.account = {
+      total: parseFloat(scenario.account?.total ?? 1000),
+      currency: 'USDT'
+    };
+    this.dualMode = scenario.positionMode === 'dual_mode';
+    this.positions = new Map(); // contract:mode -> { contract, mode, size, entryPrice, leverage, crossLeverageLimit, realisedPnl }
+    this.orders = new Map(); // id -> order
+    this.priceOrders = new Map(); // id -> price order
+    this.trades = [];
+    this.accountBook = []; // funding записи (type 'fund')
+    this.tickCount = 0;
+    this.nextId = 1000;
+
+    this.server = null;
+    this.wss = null;
+    this.tickTimer = null;
+    this.feedFinished = false;
+  }
+
+  // ─── Lifecycle ───────────────────────────────────────────────
+
+  async start(port = 8089) {
+    this.server = http.createServer((req, res) => this.handleHttp(req, res));
+    this.wss = new WebSocketServer({ server: this.server, path: WS_PATH });
+    this.wss.on('connection', (socket) => this.handleWsConnection(socket));
+
+    await new Promise(resolve => this.server.listen(port, resolve));
+    this.port = this.server.address().port;
+
+    this.tickTimer = setInterval(() => this.tick(), this.tickMs);
+    logger.info(`[MOCK] Gate.io mock listening on http://127.0.0.1:${this.port}${API_PREFIX} (ws ${WS_PATH})`);
+    return this.port;
+  }
+
+  async stop() {
+    clearInterval(this.tickTimer);
+    this.tickTimer = null;
+
+    if (this.wss) {
+      for (const socket of this.wss.clients) socket.terminate();
+      this.wss.close();
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    logger.info('[MOCK] Gate.io mock stopped');
+  }
+
+  get baseURL() {
+    return `http://127.0.0.1:${this.port}${API_PREFIX}`;
+  }
+
+  get wsURL() {
+    return `ws://127.0.0.1:${this.port}${WS_PATH}`;
+  }
+
+  // ─── Price feed ──────────────────────────────────────────────
+
+  /**
+   * Просуває кожен контракт на наступну ціну сценарію та виконує ордери
+   */
+  tick() {
+    let advanced = false;
+    this.tickCount++;
+
+    // scenario.fundingTicks: номери тіків, на яких нараховується funding
+    if (this.scenario.fundingTicks?.includes(this.tickCount)) {
+      this.applyFunding();
+    }
+
+    for (const [name, index] of this.feedIndex.entries()) {
+      const feed = this.scenario.prices?.[name] || [];
+      if (index + 1 < feed.length) {
+        this.feedIndex.set(name, index + 1);
+        this.setPrice(name, parseFloat(feed[index + 1]));
+        advanced = true;
+      }
+    }
+
+    if (!advanced && !this.feedFinished) {
+      this.feedFinished = true;
+      logger.info('[MOCK] Price feed finished');
+    }
+  }
+
+  /**
+   * Нараховує funding відкритим позиціям за funding_rate контракту:
+   * при ставці > 0 LONG платить, SHORT отримує
+   */
+  applyFunding() {
+    for (const position of this.positions.values()) {
+      if (position.size === 0) continue;
+
+      const contract = this.getContract(position.contract);
+      const rate = parseFloat(contract.funding_rate || '0.0001');
+      const multiplier = parseFloat(contract.quanto_multiplier || '1');
+      const change = -position.size * multiplier * this.prices.get(position.contract) * rate;
+
+      this.account.total += change;
+      this.accountBook.push({
+        id: this.nextId++,
+        time: Date.now() / 1000,
+        change: change.toFixed(8),
+        balance: this.account.total.toFixed(8),
+        type: 'fund',
+        text: position.contract,
+        contract: position.contract
+      });
+      logger.info(`[MOCK] Funding ${position.contract} (${position.mode}): ${change.toFixed(8)} USDT`);
+    }
+  }
+
+  setPrice(contract, price) {
+    this.prices.set(contract, price);
+    this.broadcast('futures.tickers', [this.formatTicker(contract)]);
+    this.triggerPriceOrders(contract, price);
+    this.matchRestingOrders(contract, price);
+  }
+
+  // ─── HTTP ────────────────────────────────────────────────────
+
+  async handleHttp(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const rawQuery = req.url.includes('?') ? req.url.substring(req.url.indexOf('?') + 1) : '';
+    const body = await new Promise(resolve => {
+      let data = '';
+      req.on('data', chunk => { data += chunk; });
+      req.on('end', () => resolve(data));
+    });
+
+    try {
+      if (!url.pathname.startsWith(API_PREFIX)) {
+        throw new MockApiError(404, 'NOT_FOUND', `Unknown path ${url.pathname}`);
+      }
+
+      const path = url.pathname.substring(API_PREFIX.length);
+      const query = Object.fromEntries(url.searchParams.entries());
+      const json = body ? JSON.parse(body) : null;
+
+      const result = this.route(req.method, path, query, json, () =>
+        this.verifySignature(req, url.pathname, rawQuery, body)
+      );
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (error) {
+      const status = error.status || 500;
+      const label = error.label || 'SERVER_ERROR';
+      if (status >= 500) {
+        logger.error(`[MOCK] ${req.method} ${req.url} failed: ${error.stack}`);
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ label, message: error.message }));
+    }
+  }
+
+  verifySignature(req, resourcePath, queryString, body) {
+    const key = req.headers['key'];
+    const timestamp = req.headers['timestamp'];
+    const sign = req.headers['sign'];
+
+    if (!key || !timestamp || !sign) {
+      throw new MockApiError(401, 'MISSING_REQUIRED_HEADER', 'KEY, Timestamp and SIGN headers are required');
+    }
+    if (key !== this.apiKey) {
+      throw new MockApiError(401, 'INVALID_KEY', 'Invalid API key');
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp)) > MAX_TIMESTAMP_SKEW_SEC) {
+      throw new MockApiError(401, 'REQUEST_EXPIRED', 'Request timestamp expired');
+    }
+
+    const bodyHash = crypto.createHash('sha512').update(body || '').digest('hex');
+    const prehash = [req.method, resourcePath, queryString, bodyHash, timestamp].join('\n');
+    const expected = crypto.createHmac('sha512', this.apiSecret).update(prehash).digest('hex');
+
+    if (expected !== sign) {
+      throw new MockApiError(401, 'INVALID_SIGNATURE', 'Signature mismatch');
+    }
+  }
+
+  route(method, path, query, body, authenticate) {
+    const parts = path.split('/').filter(Boolean);
+    const [section, settle, resource, id, action] = parts;
+
+    if (method === 'GET' && path === '/spot/time') {
+      return { server_time: Date.now() };
+    }
+
+    if (section !== 'futures' || settle !== 'usdt') {
+      throw new MockApiError(404, 'NOT_FOUND', `Unknown path ${path}`);
+    }
+
+    // Публічні endpoint'и
+    if (method === 'GET' && resource === 'contracts') {
+      if (id) return this.formatContract(this.getContract(id));
+      return Array.from(this.contracts.keys()).map(name => this.formatContract(this.getContract(name)));
+    }
+    if (method === 'GET' && resource === 'tickers') {
+      const names = query.contract ? [this.getContract(query.contract).name] : Array.from(this.contracts.keys());
+      return names.map(name => this.formatTicker(name));
+    }
+    if (method === 'GET' && resource === 'candlesticks') {
+      return this.formatCandles(this.getContract(query.contract).name, query.interval || '5m', parseInt(query.limit || '100'));
+    }
+    if (method === 'GET' && resource === 'order_book') {
+      return this.formatOrderBook(this.getContract(query.contract).name, parseInt(query.limit || '20'));
+    }
+
+    // Приватні endpoint'и
+    authenticate();
+
+    if (method === 'GET' && resource === 'accounts') {
+      return this.formatAccount();
+    }
+    if (resource === 'positions') {
+      if (method === 'GET' && !id) {
+        return Array.from(this.contracts.keys())
+          .filter(name => !query.contract || name === query.contract)
+          .flatMap(name => this.positionModes().map(mode => this.formatPosition(name, mode)));
+      }
+      if (method === 'GET' && id && !action) {
+        return this.formatPosition(this.getContract(id).name, this.positionModes()[0]);
+      }
+      if (method === 'POST' && id && action === 'leverage') {
+        return this.setLeverage(this.getContract(id).name, query)[0];
+      }
+    }
+    if (resource === 'dual_comp' && id === 'positions') {
+      // /futures/usdt/dual_comp/positions/{contract}[/leverage]
+      const [contractName, dualAction] = parts.slice(4);
+      if (!this.dualMode) {
+        throw new MockApiError(400, 'POSITION_DUAL_MODE', 'Account is not in dual mode');
+      }
+      const name = this.getContract(contractName).name;
+      if (method === 'GET' && !dualAction) {
+        return this.positionModes().map(mode => this.formatPosition(name, mode));
+      }
+      if (method === 'POST' && dualAction === 'leverage') {
+        return this.setLeverage(name, query);
+      }
+    }
+    if (resource === 'orders') {
+      if (method === 'POST' && !id) return this.formatOrder(this.placeOrder(body));
+      if (method === 'GET' && !id) return this.listOrders(this.orders, query).map(o => this.formatOrder(o));
+      if (method === 'GET' && id) return this.formatOrder(this.findOrder(id));
+      if (method === 'DELETE' && id) return this.formatOrder(this.cancelOrder(id));
+    }
+    if (resource === 'price_orders') {
+      if (method === 'POST' && !id) return { id: this.placePriceOrder(body).id };
+      if (method === 'GET' && !id) return this.listPriceOrders(query).map(o => this.formatPriceOrder(o));
+      if (method === 'GET' && id) return this.formatPriceOrder(this.findPriceOrder(id));
+      if (method === 'DELETE' && id) return this.formatPriceOrder(this.cancelPriceOrder(id));
+    }
+    if (method === 'GET' && resource === 'my_trades') {
+      return this.trades
+        .filter(t => !query.contract || t.contract === query.contract)
+        .slice(-parseInt(query.limit || '100'))
+        .reverse();
+    }
+
+    if (method === 'GET' && resource === 'account_book') {
+      return this.accountBook
+        .filter(entry => !query.contract || entry.contract === query.contract)
+        .filter(entry => !query.type || entry.type === query.type)
+        .filter(entry => !query.from || entry.time >= parseFloat(query.from))
+        .filter(entry => !query.to || entry.time <= parseFloat(query.to))
+        .slice(-parseInt(query.limit || '100'))
+        .reverse();
+    }
+
+    throw new MockApiError(404, 'NOT_FOUND', `Unsupported endpoint ${method} ${path}`);
+  }
+
+  /**
+   * Свічки: scenario.candles[contract] ([{ o, h, l, c }] від старої до нової) або
+   * свічки навколо поточної ціни з діапазоном scenario.candleRangePercent (close по черзі вище/нижче)
+   */
+  formatCandles(name, interval, limit) {
+    const seconds = { '1m': 60, '5m': 300, '15m': 900, '30m': 1800, '1h': 3600, '4h': 14400, '1d': 86400 }[interval] || 300;
+    const now = Math.floor(Date.now() / 1000 / seconds) * seconds;
+    const price = this.prices.get(name);
+    const range = parseFloat(this.scenario.candleRangePercent ?? 0.2) / 100;
+
+    const source = this.scenario.candles?.[name] ||
+      Array.from({ length: limit }, (_, index) => ({
+        o: price,
+        h: price * (1 + range / 2),
+        l: price * (1 - range / 2),
+        c: price * (1 + (index % 2 === 0 ? range : -range) / 4)
+      }));
+
+    return source.slice(-limit).map((candle, index, list) => ({
+      t: now - (list.length - 1 - index) * seconds,
+      o: String(candle.o),
+      h: String(candle.h),
+      l: String(candle.l),
+      c: String(candle.c),
+      v: 1000
+    }));
+  }
+
+  // ─── Trading engine ──────────────────────────────────────────
+
+  getContract(name) {
+    const contract = this.contracts.get(name);
+    if (!contract) {
+      throw new MockApiError(400, 'CONTRACT_NOT_FOUND', `Contract ${name} not found`);
+    }
+    return contract;
+  }
+
+  positionModes() {
+    return this.dualMode ? ['dual_long', 'dual_short'] : ['single'];
+  }
+
+  getPosition(contract, mode = 'single') {
+    const key = positionKey(contract, mode);
+    if (!this.positions.has(key)) {
+      this.positions.set(key, { contract, mode, size: 0, entryPrice: 0, leverage: 10, crossLeverageLimit: 0, realisedPnl: 0 });
+    }
+    return this.positions.get(key);
+  }
+
+  /**
+   * Плече для розрахунку маржі: в cross (leverage 0) - cross_leverage_limit
+   */
+  effectiveLeverage(position) {
+    return position.leverage > 0 ? position.leverage : (position.crossLeverageLimit || 1);
+  }
+
+  /**
+   * Позиція, на яку діє ордер: в dual mode купівля відкриває long або закриває short (reduce-only)
+   */
+  orderPositionMode(size, reduceOnly) {
+    if (!this.dualMode) return 'single';
+    return (size > 0) !== Boolean(reduceOnly) ? 'dual_long' : 'dual_short';
+  }
+
+  setLeverage(contract, query) {
+    const leverage = parseFloat(query.leverage);
+    const maxLeverage = parseFloat(this.getContract(contract).leverage_max || '100');
+    if (!(leverage >= 0) || leverage > maxLeverage) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', `Invalid leverage ${query.leverage}`);
+    }
+    // leverage 0 - cross margin з обмеженням cross_leverage_limit
+    const crossLeverageLimit = leverage === 0 ? parseFloat(query.cross_leverage_limit || '0') : 0;
+    return this.positionModes().map(mode => {
+      const position = this.getPosition(contract, mode);
+      position.leverage = leverage;
+      position.crossLeverageLimit = crossLeverageLimit;
+      return this.formatPosition(contract, mode);
+    });
+  }
+
+  placeOrder(body) {
+    const contract = this.getContract(body?.contract);
+    const size = body.auto_size ? this.resolveAutoSize(contract.name, body) : parseFloat(body.size);
+    const price = parseFloat(body.price || '0');
+    const tif = body.tif || 'gtc';
+
+    if (this.dualMode && body.reduce_only && !body.auto_size) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', 'Dual mode close order requires size 0 and auto_size');
+    }
+    if (!size) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', 'size must not be zero');
+    }
+    if (Math.abs(size) < parseFloat(contract.order_size_min || '0')) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', `size below order_size_min ${contract.order_size_min}`);
+    }
+    if (price === 0 && tif !== 'ioc' && tif !== 'fok') {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', 'market order must use ioc or fok');
+    }
+    if (body.reduce_only && this.getPosition(contract.name, this.orderPositionMode(size, true)).size === 0) {
+      throw new MockApiError(400, 'REDUCE_ONLY_FAIL', 'No position to reduce');
+    }
+
+    const order = {
+      id: this.nextId++,
+      contract: contract.name,
+      size,
+      left: size,
+      price,
+      fillPrice: 0,
+      filledValue: 0,
+      tif,
+      reduceOnly: Boolean(body.reduce_only),
+      autoSize: body.auto_size || '',
+      positionMode: this.orderPositionMode(size, body.reduce_only),
+      text: body.text || '',
+      status: 'open',
+      finishAs: '',
+      createTime: Date.now() / 1000,
+      finishTime: null
+    };
+
+    const marketPrice = this.prices.get(contract.name);
+    const marketable = price === 0 || (size > 0 ? price >= marketPrice : price <= marketPrice);
+
+    if (tif === 'poc' && marketable) {
+      throw new MockApiError(400, 'ORDER_POC_IMMEDIATE', 'Post-only order would take liquidity');
+    }
+
+    this.orders.set(order.id, order);
+
+    if (marketable) {
+      this.fillOrder(order, marketPrice, 'taker');
+    } else if (tif === 'ioc' || tif === 'fok') {
+      this.finishOrder(order, 'ioc');
+    } else {
+      this.broadcast('futures.orders', [this.formatOrder(order)]);
+    }
+
+    return order;
+  }
+
+  /**
+   * auto_size: size 0 закриває всю ногу - розмір підставляється з позиції
+   */
+  resolveAutoSize(contract, body) {
+    const mode = AUTO_SIZE_MODES[body.auto_size];
+    if (!this.dualMode || !mode || parseFloat(body.size || '0') !== 0 || !body.reduce_only) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', 'auto_size requires dual mode, size 0 and reduce_only');
+    }
+
+    const position = this.getPosition(contract, mode);
+    if (position.size === 0) {
+      throw new MockApiError(400, 'REDUCE_ONLY_FAIL', 'No position to reduce');
+    }
+    return -position.size;
+  }
+
+  fillOrder(order, price, role) {
+    const position = this.getPosition(order.contract, order.positionMode);
+    let fillSize = order.left;
+
+    if (order.reduceOnly) {
+      // reduce-only ордер не може збільшити чи перевернути позицію
+      const reducible = Math.sign(fillSize) === -Math.sign(position.size) ? Math.abs(position.size) : 0;
+      fillSize = Math.sign(fillSize) * Math.min(Math.abs(fillSize), reducible);
+    }
+
+    if (fillSize !== 0) {
+      this.applyFill(order, fillSize, price, role);
+    }
+
+    this.finishOrder(order, order.left === 0 ? 'filled' : (order.reduceOnly ? 'reduce_only' : 'ioc'));
+  }
+
+  applyFill(order, fillSize, price, role) {
+    const contract = this.getContract(order.contract);
+    const multiplier = parseFloat(contract.quanto_multiplier || '1');
+    const position = this.getPosition(order.contract, order.positionMode);
+    let realised = 0;
+
+    if (position.size === 0 || Math.sign(position.size) === Math.sign(fillSize)) {
+      const newSize = Math.abs(position.size) + Math.abs(fillSize);
+      position.entryPrice = (Math.abs(position.size) * position.entryPrice + Math.abs(fillSize) * price) / newSize;
+      position.size = round8(position.size + fillSize);
+    } else {
+      const closeQty = Math.min(Math.abs(fillSize), Math.abs(position.size));
+      realised = closeQty * multiplier * (price - position.entryPrice) * Math.sign(position.size);
+      const remainder = Math.abs(fillSize) - closeQty;
+      position.size = round8(position.size + Math.sign(fillSize) * closeQty);
+
+      if (remainder > 0) {
+        // single mode: залишок відкриває позицію у протилежний бік
+        position.size = round8(Math.sign(fillSize) * remainder);
+        position.entryPrice = price;
+      } else if (position.size === 0) {
+        position.entryPrice = 0;
+      }
+    }
+
+    const fee = Math.abs(fillSize) * multiplier * price * (role === 'maker' ? MAKER_FEE : TAKER_FEE);
+    position.realisedPnl += realised - fee;
+    this.account.total += realised - fee;
+
+    order.filledValue += Math.abs(fillSize) * price;
+    order.left = round8(order.left - fillSize);
+    const filled = Math.abs(order.size - order.left);
+    order.fillPrice = filled > 0 ? order.filledValue / filled : 0;
+
+    const trade = {
+      id: this.nextId++,
+      create_time: Date.now() / 1000,
+      create_time_ms: Date.now(),
+      contract: order.contract,
+      order_id: String(order.id),
+      size: fillSize,
+      price: String(price),
+      role,
+      text: order.text,
+      fee: String(round8(fee)),
+      point_fee: '0'
+    };
+    this.trades.push(trade);
+
+    logger.info(`[MOCK] Fill ${order.contract} ${fillSize} @ ${price} (${role}), position ${position.size}`);
+
+    this.broadcast('futures.usertrades', [trade]);
+    this.broadcast('futures.positions', [this.formatPosition(order.contract, order.positionMode)]);
+  }
+
+  finishOrder(order, finishAs) {
+    order.status = 'finished';
+    order.finishAs = finishAs;
+    order.finishTime = Date.now() / 1000;
+    this.broadcast('futures.orders', [this.formatOrder(order)]);
+  }
+
+  matchRestingOrders(contract, price) {
+    for (const order of this.orders.values()) {
+      if (order.contract !== contract || order.status !== 'open') continue;
+
+      const crossed = order.size > 0 ? price <= order.price : price >= order.price;
+      if (crossed) {
+        if (order.reduceOnly && this.getPosition(contract, order.positionMode).size === 0) {
+          this.finishOrder(order, 'reduce_only');
+        } else {
+          this.fillOrder(order, order.price, 'maker');
+        }
+      }
+    }
+  }
+
+  findOrder(id) {
+    const order = /^\d+$/.test(id)
+      ? this.orders.get(parseInt(id))
+      : Array.from(this.orders.values()).find(o => o.text === id);
+
+    if (!order) {
+      throw new MockApiError(404, 'ORDER_NOT_FOUND', `Order ${id} not found`);
+    }
+    return order;
+  }
+
+  cancelOrder(id) {
+    const order = this.findOrder(id);
+    if (order.status !== 'open') {
+      throw new MockApiError(404, 'ORDER_NOT_FOUND', `Order ${id} not open`);
+    }
+    this.finishOrder(order, 'cancelled');
+    return order;
+  }
+
+  listOrders(orders, query) {
+    return Array.from(orders.values())
+      .filter(o => !query.contract || o.contract === query.contract)
+      .filter(o => !query.status || o.status === query.status);
+  }
+
+  placePriceOrder(body) {
+    const initial = body?.initial || {};
+    const trigger = body?.trigger || {};
+    this.getContract(initial.contract);
+
+    if (!trigger.price || ![1, 2].includes(trigger.rule)) {
+      throw new MockApiError(400, 'INVALID_PARAM_VALUE', 'trigger.price and trigger.rule (1|2) are required');
+    }
+    if (this.dualMode && initial.reduce_only &&
+        (!initial.auto_size || parseFloat(initial.size || '0') !== 0 || body.order_type !== AUTO_SIZE_ORDER_TYPES[initial.auto_size])) {
+      throw new MockApiError(
+        400,
+        'INVALID_PARAM_VALUE',
+        'Dual mode close price order requires size 0, auto_size and order_type close-long-position / close-short-position'
+      );
+    }
+
+    const priceOrder = {
+      id: this.nextId++,
+      contract: initial.contract,
+      initial: { ...initial },
+      trigger: { ...trigger },
+      orderType: body.order_type || '',
+      status: 'open',
+      finishAs: '',
+      tradeId: null,
+      createTime: Date.now() / 1000
+    };
+    this.priceOrders.set(priceOrder.id, priceOrder);
+    return priceOrder;
+  }
+
+  triggerPriceOrders(contract, price) {
+    for (const priceOrder of this.priceOrders.values()) {
+      if (priceOrder.contract !== contract || priceOrder.status !== 'open') continue;
+
+      const triggerPrice = parseFloat(priceOrder.trigger.price);
+      const hit = priceOrder.trigger.rule === 1 ? price >= triggerPrice : price <= triggerPrice;
+      if (!hit) continue;
+
+      priceOrder.status = 'finished';
+      priceOrder.finishAs = 'succeeded';
+      logger.info(`[MOCK] Price order ${priceOrder.id} triggered at ${price}`);
+
+      try {
+        const order = this.placeOrder({ ...priceOrder.initial });
+        priceOrder.tradeId = order.id;
+      } catch (error) {
+        priceOrder.finishAs = 'failed';
+        logger.warn(`[MOCK] Triggered order for ${priceOrder.id} rejected: ${error.label}`);
+      }
+    }
+  }
+
+  findPriceOrder(id) {
+    const priceOrder = this.priceOrders.get(parseInt(id));
+    if (!priceOrder) {
+      throw new MockApiError(404, 'ORDER_NOT_FOUND', `Price order ${id} not found`);
+    }
+    return priceOrder;
+  }
+
+  cancelPriceOrder(id) {
+    const priceOrder = this.findPriceOrder(id);
+    if (priceOrder.status !== 'open') {
+      throw new MockApiError(404, 'ORDER_NOT_FOUND', `Price order ${id} not open`);
+    }
+    priceOrder.status = 'finished';
+    priceOrder.finishAs = 'cancelled';
+    return priceOrder;
+  }
+
+  listPriceOrders(query) {
+    return Array.from(this.priceOrders.values())
+      .filter(o => !query.contract || o.contract === query.contract)
+      .filter(o => !query.status || o.status === query.status);
+  }
+
+  // ─── Formatting (формат відповідей Gate.io) ──────────────────
+
+  formatContract(contract) {
+    return {
+      name: contract.name,
+      type: 'direct',
+      quanto_multiplier: contract.quanto_multiplier || '1',
+      order_price_round: contract.order_price_round || '0.0001',
+      mark_price_round: contract.order_price_round || '0.0001',
+      order_size_min: contract.order_size_min || '1',
+      order_size_max: contract.order_size_max || '1000000',
+      leverage_min: contract.leverage_min || '1',
+      leverage_max: contract.leverage_max || '100',
+      maintenance_rate: contract.maintenance_rate || '0.005',
+      maker_fee_rate: String(MAKER_FEE),
+      taker_fee_rate: String(TAKER_FEE),
+      funding_rate: contract.funding_rate || '0.0001',
+      funding_interval: contract.funding_interval || 28800,
+      funding_next_apply: contract.funding_next_apply || Math.ceil(Date.now() / 1000 / 28800) * 28800,
+      last_price: String(this.prices.get(contract.name)),
+      mark_price: String(this.prices.get(contract.name)),
+      in_delisting: Boolean(contract.in_delisting)
+    };
+  }
+
+  formatTicker(name) {
+    const price = String(this.prices.get(name));
+    const contract = this.getContract(name);
+    return {
+      contract: name,
+      last: price,
+      mark_price: price,
+      index_price: price,
+      funding_rate: contract.funding_rate || '0.0001'
+    };
+  }
+
+  /**
+   * Синтетичний стакан навколо поточної ціни (scenario.bookDepth контрактів на рівень)
+   */
+  formatOrderBook(name, limit) {
+    const price = this.prices.get(name);
+    const step = parseFloat(this.getContract(name).order_price_round || '0.0001');
+    const depth = this.scenario.bookDepth || 1000;
+    const decimals = Math.max(0, Math.round(-Math.log10(step)));
+    const asks = [];
+    const bids = [];
+
+    for (let i = 1; i <= limit; i++) {
+      asks.push({ p: (price + step * i).toFixed(decimals), s: depth });
+      bids.push({ p: (price - step * i).toFixed(decimals), s: depth });
+    }
+
+    return { current: Date.now() / 1000, update: Date.now() / 1000, asks, bids };
+  }
+
+  formatAccount() {
+    let positionMargin = 0;
+    let unrealisedPnl = 0;
+
+    for (const position of this.positions.values()) {
+      if (position.size === 0) continue;
+      const name = position.contract;
+      const multiplier = parseFloat(this.getContract(name).quanto_multiplier || '1');
+      const notional = Math.abs(position.size) * multiplier * position.entryPrice;
+      positionMargin += notional / this.effectiveLeverage(position);
+      unrealisedPnl += Math.abs(position.size) * multiplier *
+        (this.prices.get(name) - position.entryPrice) * Math.sign(position.size);
+    }
+
+    return {
+      user: this.userId,
+      currency: 'USDT',
+      total: this.account.total.toFixed(8),
+      available: (this.account.total - positionMargin).toFixed(8),
+      position_margin: positionMargin.toFixed(8),
+      order_margin: '0',
+      unrealised_pnl: unrealisedPnl.toFixed(8),
+      in_dual_mode: this.dualMode
+    };
+  }
+
+  formatPosition(name, mode = 'single') {
+    const position = this.getPosition(name, mode);
+    const contract = this.getContract(name);
+    const multiplier = parseFloat(contract.quanto_multiplier || '1');
+    const markPrice = this.prices.get(name);
+    const notional = Math.abs(position.size) * multiplier * position.entryPrice;
+
+    return {
+      user: this.userId,
+      contract: name,
+      size: position.size,
+      leverage: String(position.leverage),
+      cross_leverage_limit: String(position.crossLeverageLimit),
+      entry_price: String(position.entryPrice),
+      mark_price: String(markPrice),
+      value: String(Math.abs(position.size) * multiplier * markPrice),
+      margin: String(notional / this.effectiveLeverage(position)),
+      unrealised_pnl: String(Math.abs(position.size) * multiplier * (markPrice - position.entryPrice) * Math.sign(position.size)),
+      realised_pnl: String(position.realisedPnl),
+      maintenance_rate: contract.maintenance_rate || '0.005',
+      mode,
+      time_ms: Date.now()
+    };
+  }
+
+  formatOrder(order) {
+    return {
+      id: order.id,
+      user: this.userId,
+      contract: order.contract,
+      create_time: order.createTime,
+      finish_time: order.finishTime,
+      finish_as: order.finishAs,
+      status: order.status,
+      size: order.size,
+      left: order.left,
+      price: String(order.price),
+      fill_price: String(order.fillPrice),
+      tif: order.tif,
+      is_reduce_only: order.reduceOnly,
+      is_close: false,
+      auto_size: order.autoSize,
+      text: order.text
+    };
+  }
+
+  formatPriceOrder(priceOrder) {
+    return {
+      id: priceOrder.id,
+      user: this.userId,
+      initial: {
+        ...priceOrder.initial,
+        is_reduce_only: Boolean(priceOrder.initial.reduce_only)
+      },
+      trigger: priceOrder.trigger,
+      order_type: priceOrder.orderType,
+      status: priceOrder.status,
+      finish_as: priceOrder.finishAs,
+      trade_id: priceOrder.tradeId,
+      create_time: priceOrder.createTime
+    };
+  }
+
+  // ─── WebSocket ───────────────────────────────────────────────
+
+  handleWsConnection(socket) {
+    socket.channels = new Set();
+
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+
+      const { channel, event, time } = message;
+
+      if (channel === 'futures.ping') {
+        socket.send(JSON.stringify({ time: Math.floor(Date.now() / 1000), channel: 'futures.pong', event: '', result: null }));
+        return;
+      }
+
+      if (event === 'subscribe') {
+        const isPrivate = channel !== 'futures.tickers';
+        if (isPrivate) {
+          const expected = crypto
+            .createHmac('sha512', this.apiSecret)
+            .update(`channel=${channel}&event=${event}&time=${time}`)
+            .digest('hex');
+
+          if (message.auth?.KEY !== this.apiKey || message.auth?.SIGN !== expected) {
+            socket.send(JSON.stringify({
+              time, channel, event,
+              error: { code: 2, message: 'invalid signature' },
+              result: { status: 'failed' }
+            }));
+            return;
+          }
+        }
+
+        socket.channels.add(channel);
+        socket.send(JSON.stringify({ time, channel, event, error: null, result: { status: 'success' } }));
+      }
+    });
+  }
+
+  broadcast(channel, result) {
+    if (!this.wss) return;
+
+    const payload = JSON.stringify({
+      time: Math.floor(Date.now() / 1000),
+      channel,
+      event: 'update',
+      result
+    });
+
+    for (const socket of this.wss.clients) {
+      if (socket.readyState === 1 && socket.channels?.has(channel)) {
+        socket.send(payload);
+      }
+    }
+  }
+}
+
+export default MockGateIOServer;
@@ -22,12 +22,14 @@ async function checkPositions() {
         console.log(`Position ${index + 1}:`);
         console.log(`  Symbol: ${pos.symbol}`);
         console.log(`  Contract: ${pos.contract}`);
-        console.log(`  Side: ${pos.side}`);
+        console.log(`  Direction: ${pos.direction}`);
         console.log(`  Size: ${pos.size}`);
         console.log(`  Entry Price: $${pos.entryPrice.toFixed(4)}`);
         console.log(`  Mark Price: $${pos.markPrice.toFixed(4)}`);
         console.log(`  Unrealised P&L: ${pos.unrealisedPnl >= 0 ? '+' : ''}$${pos.unrealisedPnl.toFixed(2)}`);
         console.log(`  Leverage: ${pos.leverage}x`);
+        console.log(`  Margin Mode: ${pos.marginMode}`);
+        console.log(`  Margin Used: $${pos.margin.toFixed(2)}`);
         console.log(`  Mode: ${pos.mode}`);
         console.log('');
       });
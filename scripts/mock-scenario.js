@@ -0,0 +1,110 @@
+import fs from 'fs';
+import { MockGateIOServer } from '../mock/gateio-mock-server.js';
+import logger from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+
+/**
+ * Проганяє повний цикл сигнал → вхід → TP/SL → закриття проти локального mock.
+ * Сигнал обробляється тим самим handleSignal, що й сигнали з Telegram
+ *
+ * Використання: npm run mock:scenario -- mock/scenarios/long-stop-loss.json
+ * Мережа не потрібна: Telegram повідомлення виводяться в лог.
+ */
+const MOCK_API_KEY = 'mock-key';
+const MOCK_API_SECRET = 'mock-secret';
+
+async function runScenario() {
+  const scenarioPath = process.argv[2] || 'mock/scenarios/long-take-profit.json';
+  const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+
+  const server = new MockGateIOServer({ scenario, apiKey: MOCK_API_KEY, apiSecret: MOCK_API_SECRET });
+  await server.start(0);
+
+  try {
+    // config читається при імпорті сервісів, тому env задаємо до динамічного імпорту
+    process.env.EXCHANGE_ENV = 'mock';
+    process.env.GATEIO_BASE_URL = server.baseURL;
+    process.env.GATEIO_WS_URL = server.wsURL;
+    process.env.MOCK_GATEIO_API_KEY = MOCK_API_KEY;
+    process.env.MOCK_GATEIO_API_SECRET = MOCK_API_SECRET;
+    process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'mock-token';
+    process.env.TELEGRAM_CHANNEL_ID = process.env.TELEGRAM_CHANNEL_ID || 'mock-channel';
+    process.env.DRY_RUN = 'false';
+    process.env.POSITION_MODE = scenario.positionMode || 'single_mode';
+    process.env.OPPOSITE_SIGNAL_POLICY = scenario.positionMode === 'dual_mode' ? 'hedge' : 'ignore';
+    // scenario.env - налаштування бота для сценарію (наприклад TRAILING_STOP_ENABLED)
+    Object.assign(process.env, scenario.env || {});
+
+    delete process.env.ACCOUNTS_FILE;
+
+    const { default: telegramService } = await import('../services/telegram.service.js');
+    const { default: accountService } = await import('../services/account.service.js');
+    const { handleSignal } = await import('../services/signal.service.js');
+
+    const account = accountService.getAll()[0];
+    const { exchange, positions: positionService } = account;
+
+    await telegramService.bot.stopPolling();
+    telegramService.sendMessage = async (chatId, message) => {
+      logger.info(`[TELEGRAM:MOCK] ${message.replace(/<[^>]+>/g, '')}`);
+    };
+
+    // scenario.signals - декілька сигналів підряд (наприклад LONG і SHORT ноги в dual_mode)
+    const signals = scenario.signals || [scenario.signal];
+    logger.info(`[SCENARIO] ${scenario.description || scenarioPath}`);
+
+    // Як initialize() в index.js: підключення, баланс та кеш контрактів
+    await exchange.connect();
+    account.statistics.startBalance = await exchange.getUSDTBalance();
+    account.statistics.currentBalance = account.statistics.startBalance;
+    await account.contracts.initialize(exchange.contractsSnapshot);
+
+    // Сигнали проходять той самий шлях, що й з Telegram: валідація, funding, вхід, TP/SL
+    for (const { symbol, direction } of signals) {
+      logger.info(`[SCENARIO] Signal: ${symbol} ${direction}`);
+
+      await handleSignal({ symbol, direction, timestamp: Date.now() });
+
+      if (!positionService.hasOpenPosition(symbol, direction)) {
+        throw new Error(`Signal ${symbol} ${direction} did not open a position (see log above)`);
+      }
+    }
+
+    // Чекаємо закриття, поки mock програє стрічку цін
+    const feedLength = Math.max(...Object.values(scenario.prices).map(feed => feed.length));
+    const deadline = Date.now() + (feedLength + 5) * (scenario.tickMs || 1000);
+
+    while (positionService.getOpenPositionsCount() > 0 && Date.now() < deadline) {
+      await sleep(scenario.tickMs || 1000);
+      await positionService.checkPositions({ force: true });
+    }
+
+    let allClosed = true;
+
+    console.log('\n' + '='.repeat(50));
+    for (const { symbol, direction } of signals) {
+      const closed = positionService.closedPositions.find(p => p.symbol === symbol && p.direction === direction);
+      if (closed) {
+        console.log(`✅ ${symbol} ${direction} closed: ${closed.entryPrice} → ${closed.exitPrice}`);
+        console.log(`   Net P&L: ${closed.pnl.toFixed(4)} USDT (gross ${closed.pricePnl.toFixed(4)}, ${closed.pnlPercent.toFixed(2)}%)`);
+        console.log(`   Fees: ${closed.fees.toFixed(4)} USDT (entry ${closed.entryFee.toFixed(4)}, exit ${closed.exitFee.toFixed(4)})`);
+        if (closed.funding) {
+          console.log(`   Funding: ${closed.funding.toFixed(4)} USDT`);
+        }
+      } else {
+        allClosed = false;
+        console.log(`⚠️  ${symbol} ${direction} still open after price feed ended`);
+      }
+    }
+    console.log('='.repeat(50) + '\n');
+
+    await server.stop();
+    process.exit(allClosed ? 0 : 1);
+  } catch (error) {
+    logger.error(`[SCENARIO] Error: ${error.message}`);
+    await server.stop();
+    process.exit(1);
+  }
+}
+
+runScenario();
@@ -0,0 +1,41 @@
+import fs from 'fs';
+import { MockGateIOServer } from '../mock/gateio-mock-server.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Запускає локальний mock Gate.io Futures API
+ *
+ * Використання: npm run mock -- mock/scenarios/long-take-profit.json
+ * Далі запускаємо бота з EXCHANGE_ENV=mock (той самий MOCK_GATEIO_PORT
+ * та MOCK_GATEIO_API_KEY/MOCK_GATEIO_API_SECRET)
+ */
+async function startMockServer() {
+  try {
+    const scenarioPath = process.argv[2] || 'mock/scenarios/long-take-profit.json';
+    const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf8'));
+
+    const server = new MockGateIOServer({
+      scenario,
+      apiKey: process.env.MOCK_GATEIO_API_KEY || 'mock-key',
+      apiSecret: process.env.MOCK_GATEIO_API_SECRET || 'mock-secret'
+    });
+
+    await server.start(parseInt(process.env.MOCK_GATEIO_PORT || '8089'));
+
+    console.log('\n' + '='.repeat(50));
+    console.log(`🧪 Scenario: ${scenario.description || scenarioPath}`);
+    console.log(`   REST: ${server.baseURL}`);
+    console.log(`   WS:   ${server.wsURL}`);
+    console.log('='.repeat(50) + '\n');
+
+    process.on('SIGINT', async () => {
+      await server.stop();
+      process.exit(0);
+    });
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+startMockServer();
@@ -0,0 +1,114 @@
+import { GateIOService } from './gateio.service.js';
+import { BybitService } from './bybit.service.js';
+import { PositionService } from './position.service.js';
+import { ContractRegistry } from './contract-registry.service.js';
+import telegramService from './telegram.service.js';
+import { config } from '../config/settings.js';
+import logger, { registerSecret } from '../utils/logger.js';
+import { getCurrentDate } from '../utils/helpers.js';
+
+// Реалізації ExchangeAdapter за ключем exchange з конфігурації
+const EXCHANGE_ADAPTERS = {
+  gateio: GateIOService,
+  bybit: BybitService
+};
+
+/**
+ * Торговий акаунт (основний або суб-акаунт Gate.io, акаунт Bybit)
+ *
+ * Має власні ключі, адаптер біржі та real-time потік, відстеження позицій,
+ * статистику та Telegram канал. Налаштування - з config.accounts.
+ */
+class TradingAccount {
+  /**
+   * @param {Object} settings - запис з config.accounts
+   * @param {Function} getRegistry - кеш контрактів для адаптера (спільний для акаунтів однієї біржі)
+   */
+  constructor(settings, getRegistry) {
+    this.id = settings.id;
+    this.label = settings.label;
+    this.risk = settings.risk;
+    this.allowedSymbols = settings.allowedSymbols;
+    this.dryRun = settings.dryRun;
+    this.telegramChannelId = settings.telegramChannelId;
+
+    // Ключі з ACCOUNTS_FILE не потрапляють під env-редагування логера
+    registerSecret(settings.apiKey);
+    registerSecret(settings.apiSecret);
+
+    const Adapter = EXCHANGE_ADAPTERS[settings.exchange];
+    this.exchange = new Adapter({ apiKey: settings.apiKey, apiSecret: settings.apiSecret });
+    this.ws = this.exchange.createStream();
+    this.contracts = getRegistry(this.exchange);
+    this.positions = new PositionService(this);
+
+    this.statistics = {
+      totalTrades: 0,
+      winTrades: 0,
+      loseTrades: 0,
+      totalProfit: 0,
+      startBalance: 0,
+      currentBalance: 0,
+      dailyTrades: 0,
+      signalsIgnored: 0,
+      failedEntries: 0, // входи, відкочені через невиставлений TP/SL
+      totalSignals: 0,
+      lastResetDate: getCurrentDate()
+    };
+  }
+
+  /**
+   * Повідомлення в Telegram канал акаунта (в DRY RUN не відправляється).
+   * Починається з мітки середовища; якщо акаунтів декілька - додає назву акаунта
+   */
+  async notify(message) {
+    if (this.dryRun) {
+      return;
+    }
+
+    let header = telegramService.formatEnvironmentTag();
+    if (config.accounts.length > 1) {
+      header += ` · 👤 <b>${this.label}</b>`;
+    }
+
+    await telegramService.sendMessage(this.telegramChannelId, `${header}\n${message}`);
+  }
+}
+
+/**
+ * Реєстр торгових акаунтів
+ */
+class AccountService {
+  constructor() {
+    this.registries = new Map(); // exchange name -> ContractRegistry
+    this.accounts = config.accounts.map(settings => new TradingAccount(settings, exchange => this.getRegistry(exchange)));
+    logger.info(`[ACCOUNTS] Loaded ${this.accounts.length} account(s): ${this.accounts.map(a => a.id).join(', ')}`);
+  }
+
+  getAll() {
+    return this.accounts;
+  }
+
+  getRegistry(exchange) {
+    if (!this.registries.has(exchange.name)) {
+      this.registries.set(exchange.name, new ContractRegistry(
+        exchange,
+        () => this.accounts.filter(account => account.exchange.name === exchange.name)
+      ));
+    }
+    return this.registries.get(exchange.name);
+  }
+
+  getRegistries() {
+    return Array.from(this.registries.values());
+  }
+
+  get(id) {
+    return this.accounts.find(account => account.id === id) || null;
+  }
+}
+
+// Експортуємо singleton
+const accountService = new AccountService();
+export { TradingAccount };
+export default accountService;
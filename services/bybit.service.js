@@ -0,0 +1,951 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
+import timeSyncService from './time-sync.service.js';
+import { ExchangeAdapter } from './exchange-adapter.js';
+
+// Ліміти Bybit V5 (з запасом): створення/скасування ордерів 10 r/s на символ,
+// інші приватні endpoint'и ~50 r/s, публічні 600 r/5s на IP
+const RATE_LIMIT_BUCKETS = {
+  orders: { capacity: 5, refillPerSecond: 5 },
+  private: { capacity: 10, refillPerSecond: 10 },
+  public: { capacity: 20, refillPerSecond: 20 }
+};
+
+const ORDER_ENDPOINTS = ['/v5/order/create', '/v5/order/cancel'];
+
+// retCode: order not exists or too late to cancel
+const ORDER_GONE_CODES = new Set([110001, 110008, 110010]);
+// retCode: cross/isolated margin mode is not modified
+const MARGIN_MODE_NOT_MODIFIED = 110026;
+// retCode: leverage not modified
+const LEVERAGE_NOT_MODIFIED = 110043;
+// retCode: дублікат orderLinkId - ордер вже прийнятий
+const DUPLICATE_ORDER_LINK_ID = 110072;
+// orderStatus ордерів, що ще не завершені (Created - прийнятий, але ще не в matching engine)
+const OPEN_ORDER_STATUSES = new Set(['Created', 'New', 'PartiallyFilled', 'Untriggered', 'Triggered']);
+// Створення ордера асинхронне: скільки чекати завершення market/IOC ордера і як часто опитувати
+const ORDER_SETTLE_TIMEOUT_MS = 5000;
+const ORDER_SETTLE_POLL_MS = 250;
+// Інтервали свічок адаптера → interval Bybit kline
+const KLINE_INTERVALS = { '1m': '1', '5m': '5', '15m': '15', '30m': '30', '1h': '60', '4h': '240', '1d': 'D' };
+// Тимчасові помилки: сервер зайнятий, timeout, перевищено ліміт
+const RETRYABLE_CODES = new Set([10000, 10002, 10006, 10016, 10429]);
+
+/**
+ * Помилка з retCode від Bybit (HTTP 200 з retCode != 0)
+ */
+class BybitApiError extends Error {
+  constructor(retCode, retMsg, endpoint) {
+    super(`Bybit ${endpoint}: ${retMsg} (retCode ${retCode})`);
+    this.name = 'BybitApiError';
+    this.retCode = retCode;
+    this.retMsg = retMsg;
+  }
+}
+
+/**
+ * Bybit USDT Perpetual (API V5, category=linear) - реалізація ExchangeAdapter
+ * Документація: https://bybit-exchange.github.io/docs/v5/intro
+ *
+ * Кількість на Bybit задається в монетах, тому quantoMultiplier = 1
+ * і "контракти" бота збігаються з qty Bybit.
+ * Підпис: HMAC-SHA256(timestamp + apiKey + recvWindow + query|body)
+ */
+class BybitService extends ExchangeAdapter {
+  /**
+   * @param {Object} options - облікові дані акаунта ({ apiKey, apiSecret })
+   */
+  constructor(options = {}) {
+    super('bybit', 'Bybit');
+    this.baseURL = config.bybit.baseURL;
+    this.recvWindow = config.bybit.recvWindow;
+    this.apiKey = options.apiKey;
+    this.apiSecret = options.apiSecret;
+    this.rateLimiter = new RateLimiter(RATE_LIMIT_BUCKETS);
+    this.instruments = new Map(); // symbol -> symbolInfo (для кроку qty)
+  }
+
+  generateSignature(timestamp, payload) {
+    return crypto
+      .createHmac('sha256', this.apiSecret)
+      .update(`${timestamp}${this.apiKey}${this.recvWindow}${payload}`)
+      .digest('hex');
+  }
+
+  /**
+   * PUBLIC запит з rate limit та повторами
+   */
+  async publicRequest(endpoint, queryParams = {}) {
+    return this.withRetry(`GET ${endpoint}`, 'public', () => this.sendRequest('GET', endpoint, queryParams, null, false));
+  }
+
+  /**
+   * PRIVATE запит з rate limit та повторами.
+   * Створення ордера ідемпотентне за orderLinkId: дублікат означає, що ордер вже прийнятий
+   */
+  async privateRequest(method, endpoint, queryParams = {}, body = null) {
+    const bucket = ORDER_ENDPOINTS.includes(endpoint) ? 'orders' : 'private';
+
+    try {
+      return await this.withRetry(
+        `${method} ${endpoint}`,
+        bucket,
+        () => this.sendRequest(method, endpoint, queryParams, body, true)
+      );
+    } catch (error) {
+      if (endpoint === '/v5/order/create' && error.retCode === DUPLICATE_ORDER_LINK_ID) {
+        logger.warn(`[BYBIT] Order ${body.orderLinkId} already accepted, not resubmitting`);
+        return this.findOrderByLinkId(body.symbol, body.orderLinkId);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Експоненційний backoff; налаштування повторів спільні для бірж (EXCHANGE_MAX_RETRIES, ...)
+   */
+  async withRetry(description, bucket, requestFn) {
+    const { maxRetries, baseDelayMs, maxDelayMs } = config.exchange.retry;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = Math.min(Math.round(baseDelayMs * Math.pow(2, attempt - 1) + Math.random() * baseDelayMs), maxDelayMs);
+        logger.warn(`[BYBIT] Retry ${attempt}/${maxRetries} for ${description} in ${delay}ms (${lastError.message})`);
+        await sleep(delay);
+      }
+
+      await this.rateLimiter.acquire(bucket);
+
+      try {
+        return await requestFn();
+      } catch (error) {
+        lastError = error;
+
+        if (!this.isRetryable(error) || attempt === maxRetries) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Мережа, 5xx, 429 та тимчасові retCode. Повтор створення ордера безпечний -
+   * той самий orderLinkId біржа відхилить як дублікат
+   */
+  isRetryable(error) {
+    if (error instanceof BybitApiError) {
+      return RETRYABLE_CODES.has(error.retCode);
+    }
+    const status = error.response?.status;
+    return !error.response || status === 429 || status >= 500;
+  }
+
+  /**
+   * Одна спроба запиту. Bybit повертає помилки як HTTP 200 з retCode != 0
+   */
+  async sendRequest(method, endpoint, queryParams = {}, body = null, signed = false) {
+    const queryString = Object.keys(queryParams)
+      .filter(k => queryParams[k] !== undefined && queryParams[k] !== null)
+      .map(k => `${k}=${encodeURIComponent(queryParams[k])}`)
+      .join('&');
+    const bodyString = body ? JSON.stringify(body) : '';
+    const url = `${this.baseURL}${endpoint}${queryString ? '?' + queryString : ''}`;
+
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (signed) {
+      const timestamp = timeSyncService.now().toString();
+      headers['X-BAPI-API-KEY'] = this.apiKey;
+      headers['X-BAPI-TIMESTAMP'] = timestamp;
+      headers['X-BAPI-RECV-WINDOW'] = this.recvWindow.toString();
+      headers['X-BAPI-SIGN'] = this.generateSignature(timestamp, method === 'GET' ? queryString : bodyString);
+    }
+
+    logger.debug(`[BYBIT] ${method} ${url}`);
+    if (bodyString) logger.debug(`  Body: ${bodyString}`);
+
+    try {
+      const response = await axios({ method, url, headers, data: bodyString || undefined });
+      const { retCode, retMsg, result } = response.data;
+
+      if (retCode !== 0) {
+        throw new BybitApiError(retCode, retMsg, endpoint);
+      }
+
+      return result;
+    } catch (error) {
+      if (!(error instanceof BybitApiError)) {
+        logger.error(`[BYBIT] ${method} ${endpoint} failed: ${error.message}`);
+        logger.error(`  Response: ${JSON.stringify(error.response?.data)}`);
+      }
+      throw error;
+    }
+  }
+
+  async findOrderByLinkId(symbol, orderLinkId) {
+    const result = await this.sendRequest('GET', '/v5/order/realtime', {
+      category: 'linear',
+      symbol,
+      orderLinkId
+    }, null, true);
+
+    const order = result.list?.[0];
+    if (!order) {
+      throw new Error(`Order ${orderLinkId} reported as duplicate but not found`);
+    }
+    return order;
+  }
+
+  async connect() {
+    try {
+      logger.info('');
+      logger.info('[BYBIT] ╔════════════════════════════════════╗');
+      logger.info('[BYBIT] ║  CONNECTING TO BYBIT API V5        ║');
+      logger.info('[BYBIT] ╚════════════════════════════════════╝');
+      logger.info(`[BYBIT] Environment: ${config.exchange.environmentLabel}`);
+      logger.info(`[BYBIT] Base URL: ${this.baseURL}`);
+      logger.info(`[BYBIT] API Key: ${this.apiKey.substring(0, 4)}****`);
+
+      this.contractsSnapshot = await this.getContracts();
+      logger.info(`[BYBIT] ✓ Found ${this.contractsSnapshot.length} linear contracts`);
+
+      const wallet = await this.getWallet();
+      logger.info(`[BYBIT] ✓ Available: ${wallet.available} USDT`);
+
+      this.isConnected = true;
+      logger.info('[BYBIT] ✓✓✓ CONNECTION SUCCESSFUL ✓✓✓');
+      return true;
+    } catch (error) {
+      this.isConnected = false;
+      logger.error(`[BYBIT] ✗✗✗ CONNECTION FAILED: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * USDT гаманець Unified Trading Account
+   */
+  async getWallet() {
+    const result = await this.privateRequest('GET', '/v5/account/wallet-balance', {
+      accountType: 'UNIFIED',
+      coin: 'USDT'
+    });
+
+    const account = result.list?.[0] || {};
+    const coin = (account.coin || []).find(c => c.coin === 'USDT') || {};
+    const available = parseFloat(coin.availableToWithdraw || account.totalAvailableBalance || '0');
+
+    return { available, total: parseFloat(coin.walletBalance || '0') };
+  }
+
+  async getUSDTBalance() {
+    try {
+      const { available } = await this.getWallet();
+      logger.info(`[BYBIT] Balance: ${available} USDT`);
+      return available;
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting balance: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Всі USDT perpetual контракти (з пагінацією cursor)
+   */
+  async getContracts() {
+    try {
+      const contracts = [];
+      let cursor;
+
+      do {
+        const result = await this.publicRequest('/v5/market/instruments-info', {
+          category: 'linear',
+          limit: 1000,
+          cursor
+        });
+
+        for (const info of result.list || []) {
+          if (info.settleCoin === 'USDT' && info.contractType === 'LinearPerpetual') {
+            contracts.push(this.parseContractInfo(info));
+          }
+        }
+
+        cursor = result.nextPageCursor || undefined;
+      } while (cursor);
+
+      for (const symbolInfo of contracts) {
+        this.instruments.set(symbolInfo.symbol, symbolInfo);
+      }
+
+      return contracts;
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting contracts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getSymbolInfo(symbol) {
+    try {
+      const result = await this.publicRequest('/v5/market/instruments-info', { category: 'linear', symbol });
+      const info = result.list?.[0];
+
+      if (!info) {
+        throw new Error(`Instrument ${symbol} not found`);
+      }
+
+      const symbolInfo = this.parseContractInfo(info);
+      this.instruments.set(symbol, symbolInfo);
+      return symbolInfo;
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting symbol info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseContractInfo(info) {
+    const lot = info.lotSizeFilter || {};
+    const tickSize = parseFloat(info.priceFilter?.tickSize || '0.0001');
+
+    return {
+      symbol: info.symbol,
+      contract: info.symbol,
+      minQty: parseFloat(lot.minOrderQty || '0'),
+      maxQty: parseFloat(lot.maxOrderQty || '1000000'),
+      tickSize: parseFloat(lot.qtyStep || lot.minOrderQty || '1'),
+      pricePrecision: Math.abs(Math.floor(Math.log10(tickSize))),
+      status: info.status === 'Trading' ? 'Trading' : 'Delisting',
+      quantoMultiplier: 1,
+      leverageMin: parseFloat(info.leverageFilter?.minLeverage || '1'),
+      leverageMax: parseFloat(info.leverageFilter?.maxLeverage || '100'),
+      // instruments-info не містить maintenance margin (він в risk-limit тірах) - береться DEFAULT_MAINTENANCE_RATE
+      maintenanceRate: null
+    };
+  }
+
+  async getCurrentPrice(symbol) {
+    try {
+      const result = await this.publicRequest('/v5/market/tickers', { category: 'linear', symbol });
+      const ticker = result.list?.[0];
+
+      if (!ticker) {
+        throw new Error(`Ticker for ${symbol} not found`);
+      }
+
+      const price = parseFloat(ticker.lastPrice);
+      logger.info(`[BYBIT] Price ${symbol}: ${price}`);
+      return price;
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting price: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Funding з тікера (nextFundingTime вже в ms)
+   */
+  async getFundingInfo(symbol) {
+    try {
+      const result = await this.publicRequest('/v5/market/tickers', { category: 'linear', symbol });
+      const ticker = result.list?.[0];
+
+      if (!ticker) {
+        throw new Error(`Ticker for ${symbol} not found`);
+      }
+
+      // Інтервал funding є тільки в instruments-info (fundingInterval, хвилини)
+      const instrument = (await this.publicRequest('/v5/market/instruments-info', { category: 'linear', symbol })).list?.[0];
+
+      return {
+        fundingRate: parseFloat(ticker.fundingRate || '0'),
+        nextFundingTime: parseInt(ticker.nextFundingTime || '0'),
+        fundingIntervalSec: instrument?.fundingInterval ? parseInt(instrument.fundingInterval) * 60 : null
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting funding info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Funding платежі з журналу транзакцій (type=SETTLEMENT), change зі знаком
+   */
+  async getFundingPayments(symbol, fromMs, toMs) {
+    try {
+      const result = await this.privateRequest('GET', '/v5/account/transaction-log', {
+        category: 'linear',
+        symbol,
+        type: 'SETTLEMENT',
+        startTime: Math.floor(fromMs),
+        endTime: Math.ceil(toMs),
+        limit: 50
+      });
+
+      return (result.list || []).map(entry => ({
+        id: entry.id,
+        symbol,
+        time: parseInt(entry.transactionTime),
+        amount: parseFloat(entry.change || '0')
+      }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting funding payments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Свічки (Bybit повертає від нової до старої: [start, open, high, low, close, volume, turnover])
+   */
+  async getCandles(symbol, interval = '5m', limit = 50) {
+    try {
+      const klineInterval = KLINE_INTERVALS[interval];
+      if (!klineInterval) {
+        throw new Error(`Unsupported candle interval ${interval}`);
+      }
+
+      const result = await this.publicRequest('/v5/market/kline', {
+        category: 'linear',
+        symbol,
+        interval: klineInterval,
+        limit
+      });
+
+      return (result.list || []).reverse().map(([start, open, high, low, close, volume]) => ({
+        time: parseInt(start),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: parseFloat(volume || '0')
+      }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting candles: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getOrderBook(symbol, limit = 20) {
+    try {
+      const result = await this.publicRequest('/v5/market/orderbook', { category: 'linear', symbol, limit });
+      const parseLevel = ([price, size]) => ({ price: parseFloat(price), size: parseFloat(size) });
+
+      return {
+        asks: (result.a || []).map(parseLevel),
+        bids: (result.b || []).map(parseLevel)
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting order book: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Margin mode символу (switch-isolated: tradeMode 0 - cross, 1 - isolated) та плече.
+   * В cross режимі плече = crossLeverageLimit.
+   * Для Unified Trading акаунтів margin mode задається на рівні акаунта - це покаже перевірка
+   */
+  async setLeverage(symbol, leverage, { marginMode = 'isolated', crossLeverageLimit = null } = {}) {
+    const targetLeverage = (marginMode === 'cross' ? crossLeverageLimit || leverage : leverage).toString();
+
+    try {
+      logger.info(`[BYBIT] Setting ${marginMode} margin, leverage ${targetLeverage}x for ${symbol}...`);
+
+      try {
+        await this.privateRequest('POST', '/v5/position/switch-isolated', {}, {
+          category: 'linear',
+          symbol,
+          tradeMode: marginMode === 'cross' ? 0 : 1,
+          buyLeverage: targetLeverage,
+          sellLeverage: targetLeverage
+        });
+      } catch (error) {
+        if (error.retCode !== MARGIN_MODE_NOT_MODIFIED) {
+          throw error;
+        }
+      }
+
+      await this.privateRequest('POST', '/v5/position/set-leverage', {}, {
+        category: 'linear',
+        symbol,
+        buyLeverage: targetLeverage,
+        sellLeverage: targetLeverage
+      });
+
+      logger.info(`[BYBIT] ✓ ${marginMode} margin, leverage ${targetLeverage}x set`);
+      return true;
+    } catch (error) {
+      if (error.retCode === LEVERAGE_NOT_MODIFIED) {
+        logger.info(`[BYBIT] ✓ Leverage already ${targetLeverage}x`);
+        return true;
+      }
+      logger.error(`[BYBIT] Error setting leverage: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Margin mode та плече з позиції символу (tradeMode 0 - cross, 1 - isolated)
+   */
+  async getMarginSettings(symbol) {
+    try {
+      const result = await this.privateRequest('GET', '/v5/position/list', { category: 'linear', symbol });
+      return this.parseMarginSettings(result.list?.[0]);
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting margin settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseMarginSettings(position) {
+    const leverage = parseFloat(position?.leverage || '0');
+    const isCross = Number(position?.tradeMode) === 0;
+
+    return {
+      marginMode: isCross ? 'cross' : 'isolated',
+      leverage,
+      crossLeverageLimit: isCross ? leverage : null
+    };
+  }
+
+  /**
+   * qty вниз до кроку qtyStep символу (рядок, як вимагає Bybit)
+   */
+  async formatQty(symbol, quantity) {
+    const symbolInfo = this.instruments.get(symbol) || await this.getSymbolInfo(symbol);
+    const step = symbolInfo.tickSize;
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    const qty = Math.floor(Math.abs(quantity) / step + 1e-9) * step;
+    return qty.toFixed(decimals);
+  }
+
+  async placeOrder(order) {
+    const orderLinkId = order.orderLinkId;
+    const result = await this.privateRequest('POST', '/v5/order/create', {}, {
+      category: 'linear',
+      positionIdx: this.getPositionIdx(order.side, order.reduceOnly),
+      ...order
+    });
+    return { orderId: result.orderId?.toString() || '', clientOrderId: result.orderLinkId || orderLinkId };
+  }
+
+  /**
+   * positionIdx: 0 - one-way, в hedge mode 1 - Buy-нога (LONG), 2 - Sell-нога (SHORT).
+   * Reduce-only ордер закриває протилежну до своєї сторони ногу
+   */
+  getPositionIdx(side, reduceOnly) {
+    if (config.exchange.positionMode !== 'dual_mode') {
+      return 0;
+    }
+    return (side === 'Buy') !== Boolean(reduceOnly) ? 1 : 2;
+  }
+
+  async openMarketOrder(symbol, direction, quantity) {
+    try {
+      logger.info(`[BYBIT] Opening ${direction} market order: ${quantity} of ${symbol}...`);
+
+      const qty = await this.formatQty(symbol, quantity);
+      const positionBefore = await this.getPositionLeg(symbol, direction);
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Buy' : 'Sell',
+        orderType: 'Market',
+        qty,
+        orderLinkId: `t-entry-${Date.now()}`,
+        reduceOnly: false
+      });
+
+      // Відповідь create не містить виконання - читаємо ордер окремо
+      const fill = await this.getOrderFill(symbol, result.orderId, positionBefore);
+      logger.info(`[BYBIT] ✓ Market order opened: ID ${result.orderId}, filled ${fill.filledQuantity}/${qty} @ ${fill.avgFillPrice}`);
+
+      return {
+        ...result,
+        symbol,
+        direction,
+        quantity: parseFloat(qty),
+        ...fill
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error opening market order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reduce-only market закриття (відкат невдалого входу)
+   */
+  async closePositionMarket(symbol, direction, quantity) {
+    try {
+      logger.info(`[BYBIT] Closing ${direction} position by market: ${quantity} of ${symbol}...`);
+
+      const qty = await this.formatQty(symbol, quantity);
+      const positionBefore = await this.getPositionLeg(symbol, direction);
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Sell' : 'Buy',
+        orderType: 'Market',
+        qty,
+        orderLinkId: `t-close-${Date.now()}`,
+        reduceOnly: true
+      });
+
+      const fill = await this.getOrderFill(symbol, result.orderId, positionBefore);
+      logger.info(`[BYBIT] ✓ Close order ${result.orderId}: filled ${fill.filledQuantity}/${qty} @ ${fill.avgFillPrice}`);
+
+      return {
+        orderId: result.orderId,
+        symbol,
+        direction,
+        quantity: parseFloat(qty),
+        ...fill
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error closing position by market: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * IOC limit вхід. Відповідь create не містить виконання - читаємо ордер окремо
+   */
+  async openLimitIocOrder(symbol, direction, quantity, price) {
+    try {
+      logger.info(`[BYBIT] Opening ${direction} IOC limit order: ${quantity} of ${symbol} @ ${price}...`);
+
+      const qty = await this.formatQty(symbol, quantity);
+      const positionBefore = await this.getPositionLeg(symbol, direction);
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Buy' : 'Sell',
+        orderType: 'Limit',
+        qty,
+        price: price.toString(),
+        timeInForce: 'IOC',
+        orderLinkId: `t-entry-${Date.now()}`,
+        reduceOnly: false
+      });
+
+      const fill = await this.getOrderFill(symbol, result.orderId, positionBefore);
+      logger.info(`[BYBIT] ✓ IOC order ${result.orderId}: filled ${fill.filledQuantity}/${qty} @ ${fill.avgFillPrice}`);
+
+      return {
+        ...result,
+        symbol,
+        direction,
+        quantity: parseFloat(qty),
+        ...fill
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error opening IOC limit order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * POST-ONLY LIMIT ORDER - вхід тільки як maker.
+   * Bybit приймає ордер і одразу скасовує, якщо він забрав би ліквідність,
+   * тому відхилення видно через getOrder (finished без виконання)
+   */
+  async openPostOnlyOrder(symbol, direction, quantity, price) {
+    try {
+      logger.info(`[BYBIT] Placing ${direction} post-only order: ${quantity} of ${symbol} @ ${price}...`);
+
+      const qty = await this.formatQty(symbol, quantity);
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Buy' : 'Sell',
+        orderType: 'Limit',
+        qty,
+        price: price.toString(),
+        timeInForce: 'PostOnly',
+        orderLinkId: `t-entry-${Date.now()}`,
+        reduceOnly: false
+      });
+
+      logger.info(`[BYBIT] ✓ Post-only order placed: ID ${result.orderId}`);
+
+      return {
+        ...result,
+        symbol,
+        direction,
+        quantity: parseFloat(qty),
+        price,
+        rejected: false
+      };
+    } catch (error) {
+      logger.error(`[BYBIT] Error placing post-only order: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Стан ордера (щойно завершені ордери ще доступні в realtime, старіші - в history).
+   * Щойно створений ордер може ще не з'явитися в жодному з них - він вважається відкритим
+   */
+  async getOrder(symbol, orderId) {
+    const query = { category: 'linear', symbol, orderId };
+    let order = (await this.privateRequest('GET', '/v5/order/realtime', query)).list?.[0];
+
+    if (!order) {
+      order = (await this.privateRequest('GET', '/v5/order/history', query)).list?.[0];
+    }
+
+    return {
+      orderId,
+      status: !order || OPEN_ORDER_STATUSES.has(order.orderStatus) ? 'open' : 'finished',
+      quantity: parseFloat(order?.qty || '0'),
+      filledQuantity: parseFloat(order?.cumExecQty || '0'),
+      avgFillPrice: parseFloat(order?.avgPrice || '0')
+    };
+  }
+
+  /**
+   * Виконана кількість та середня ціна market/IOC ордера.
+   * Bybit створює ордер асинхронно, тому опитуємо до завершення (ORDER_SETTLE_TIMEOUT_MS);
+   * якщо ордер так і не завершився - виконання визначаємо зі зміни розміру позиції
+   *
+   * @param {Object} positionBefore - нога позиції до ордера (getPositionLeg)
+   */
+  async getOrderFill(symbol, orderId, positionBefore) {
+    const deadline = Date.now() + ORDER_SETTLE_TIMEOUT_MS;
+    let state = await this.getOrder(symbol, orderId);
+
+    while (state.status === 'open' && Date.now() < deadline) {
+      await sleep(ORDER_SETTLE_POLL_MS);
+      state = await this.getOrder(symbol, orderId);
+    }
+
+    if (state.status === 'finished') {
+      return { filledQuantity: state.filledQuantity, avgFillPrice: state.avgFillPrice };
+    }
+
+    logger.warn(`[BYBIT] Order ${orderId} not finished after ${ORDER_SETTLE_TIMEOUT_MS}ms, reading fill from ${symbol} position`);
+    return this.getFillFromPosition(symbol, orderId, positionBefore);
+  }
+
+  /**
+   * Виконання ордера за зміною розміру ноги позиції.
+   * Ціна - з executions ордера, а якщо їх ще немає - для входу з середньої ціни позиції
+   */
+  async getFillFromPosition(symbol, orderId, positionBefore) {
+    const positionAfter = await this.getPositionLeg(symbol, positionBefore.direction);
+    const filledQuantity = parseFloat(Math.abs(positionAfter.size - positionBefore.size).toFixed(8));
+
+    const executions = (await this.getTradeHistory(symbol)).filter(trade => trade.orderId === orderId);
+    const executedQuantity = executions.reduce((sum, trade) => sum + trade.size, 0);
+    let avgFillPrice = 0;
+
+    if (executedQuantity > 0) {
+      avgFillPrice = executions.reduce((sum, trade) => sum + trade.size * trade.price, 0) / executedQuantity;
+    } else if (filledQuantity > 0 && positionAfter.size > positionBefore.size) {
+      avgFillPrice = (positionAfter.size * positionAfter.entryPrice - positionBefore.size * positionBefore.entryPrice) / filledQuantity;
+    }
+
+    logger.info(`[BYBIT] ${symbol} ${positionBefore.direction} position ${positionBefore.size} → ${positionAfter.size}, order ${orderId} filled ${filledQuantity}`);
+    return { filledQuantity, avgFillPrice };
+  }
+
+  /**
+   * Нога позиції символу: { direction, size, entryPrice } (size 0 - позиції немає)
+   */
+  async getPositionLeg(symbol, direction) {
+    const position = (await this.getOpenPositions(symbol)).find(pos => pos.direction === direction);
+    return { direction, size: position?.size || 0, entryPrice: position?.entryPrice || 0 };
+  }
+
+  /**
+   * TAKE PROFIT - reduce-only limit ордер.
+   * retry не потрібен: повтор з тим самим clientOrderId Bybit відхиляє як дублікат (див. privateRequest)
+   */
+  async setTakeProfitLimit(symbol, direction, price, quantity, { clientOrderId = null } = {}) {
+    try {
+      logger.info(`[BYBIT] Setting TP limit @ ${price} for ${symbol}...`);
+
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Sell' : 'Buy',
+        orderType: 'Limit',
+        qty: await this.formatQty(symbol, quantity),
+        price: price.toString(),
+        timeInForce: 'GTC',
+        reduceOnly: true,
+        orderLinkId: clientOrderId || `t-tp-${Date.now()}`
+      });
+
+      logger.info(`[BYBIT] ✓ TP limit set: ID ${result.orderId}`);
+      return { orderId: result.orderId, price };
+    } catch (error) {
+      logger.error(`[BYBIT] Error setting TP: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * STOP LOSS - умовний reduce-only limit ордер, тригер по mark price
+   */
+  async setStopLossLimit(symbol, direction, price, quantity, { clientOrderId = null } = {}) {
+    try {
+      logger.info(`[BYBIT] Setting SL conditional @ ${price} for ${symbol}...`);
+
+      const result = await this.placeOrder({
+        symbol,
+        side: direction === 'LONG' ? 'Sell' : 'Buy',
+        orderType: 'Limit',
+        qty: await this.formatQty(symbol, quantity),
+        price: price.toString(),
+        triggerPrice: price.toString(),
+        // 1 - ціна зросте до тригера, 2 - впаде до тригера
+        triggerDirection: direction === 'LONG' ? 2 : 1,
+        triggerBy: 'MarkPrice',
+        timeInForce: 'GTC',
+        reduceOnly: true,
+        orderLinkId: clientOrderId || `t-sl-${Date.now()}`
+      });
+
+      logger.info(`[BYBIT] ✓ SL conditional set: ID ${result.orderId}`);
+      return { orderId: result.orderId, price };
+    } catch (error) {
+      logger.error(`[BYBIT] Error setting SL: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Скасовує ордер. Вже виконаний або скасований - alreadyClosed: true
+   */
+  async cancelOrder(symbol, orderId) {
+    try {
+      logger.info(`[BYBIT] Cancelling order ${orderId} for ${symbol}...`);
+
+      await this.privateRequest('POST', '/v5/order/cancel', {}, { category: 'linear', symbol, orderId });
+
+      logger.info(`[BYBIT] ✓ Order ${orderId} cancelled`);
+      return { orderId, cancelled: true, alreadyClosed: false };
+    } catch (error) {
+      if (ORDER_GONE_CODES.has(error.retCode)) {
+        logger.info(`[BYBIT] Order ${orderId} already finished`);
+        return { orderId, cancelled: false, alreadyClosed: true };
+      }
+      logger.error(`[BYBIT] Error cancelling order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Умовні ордери скасовуються тим самим endpoint'ом
+   */
+  async cancelStopOrder(symbol, orderId) {
+    return this.cancelOrder(symbol, orderId);
+  }
+
+  async getOpenPositions(symbol = null) {
+    try {
+      const result = await this.privateRequest('GET', '/v5/position/list', {
+        category: 'linear',
+        ...(symbol ? { symbol } : { settleCoin: 'USDT' })
+      });
+
+      return (result.list || [])
+        .filter(pos => parseFloat(pos.size || '0') !== 0)
+        .map(pos => ({
+          symbol: pos.symbol,
+          contract: pos.symbol,
+          direction: pos.side === 'Buy' ? 'LONG' : 'SHORT',
+          size: Math.abs(parseFloat(pos.size)),
+          entryPrice: parseFloat(pos.avgPrice || '0'),
+          markPrice: parseFloat(pos.markPrice || '0'),
+          unrealisedPnl: parseFloat(pos.unrealisedPnl || '0'),
+          ...this.parseMarginSettings(pos),
+          margin: parseFloat(pos.positionIM || '0'),
+          mode: pos.positionIdx === 0 ? 'single' : 'dual'
+        }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting positions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Активні та умовні (Untriggered) ордери
+   */
+  async getActiveOrders(symbol = null) {
+    const result = await this.privateRequest('GET', '/v5/order/realtime', {
+      category: 'linear',
+      ...(symbol ? { symbol } : { settleCoin: 'USDT' })
+    });
+
+    return (result.list || []).map(order => {
+      const qty = parseFloat(order.qty || '0');
+      return {
+        orderId: order.orderId,
+        symbol: order.symbol,
+        contract: order.symbol,
+        size: order.side === 'Buy' ? qty : -qty,
+        left: parseFloat(order.leavesQty || '0'),
+        price: parseFloat(order.price || '0'),
+        triggerPrice: parseFloat(order.triggerPrice || '0'),
+        reduceOnly: Boolean(order.reduceOnly),
+        // Reduce-only Sell закриває LONG, Buy - SHORT
+        closeDirection: order.reduceOnly ? (order.side === 'Sell' ? 'LONG' : 'SHORT') : null,
+        tif: order.timeInForce,
+        text: order.orderLinkId,
+        status: order.orderStatus
+      };
+    });
+  }
+
+  async getOpenOrders(symbol = null) {
+    try {
+      const orders = await this.getActiveOrders(symbol);
+      return orders.filter(order => order.status !== 'Untriggered');
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting open orders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getOpenStopOrders(symbol = null) {
+    try {
+      const orders = await this.getActiveOrders(symbol);
+      return orders.filter(order => order.status === 'Untriggered');
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting stop orders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getTradeHistory(symbol = null, limit = 50) {
+    try {
+      const result = await this.privateRequest('GET', '/v5/execution/list', {
+        category: 'linear',
+        symbol: symbol || undefined,
+        limit
+      });
+
+      // Funding теж приходить як execution - це не угода
+      return (result.list || []).filter(trade => trade.execType !== 'Funding').map(trade => ({
+        id: trade.execId,
+        contract: trade.symbol,
+        symbol: trade.symbol,
+        createTime: parseInt(trade.execTime || '0') / 1000,
+        orderId: trade.orderId,
+        side: trade.side === 'Buy' ? 'buy' : 'sell',
+        size: Math.abs(parseFloat(trade.execQty || '0')),
+        price: parseFloat(trade.execPrice || '0'),
+        fee: parseFloat(trade.execFee || '0'),
+        role: trade.isMaker ? 'maker' : 'taker',
+        text: trade.orderLinkId
+      }));
+    } catch (error) {
+      logger.error(`[BYBIT] Error getting trade history: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+export { BybitService, BybitApiError };
+export default BybitService;
@@ -0,0 +1,147 @@
+import telegramService from './telegram.service.js';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Кеш метаданих USDT контрактів однієї біржі
+ *
+ * Завантажує всі контракти одним запитом, періодично оновлює їх
+ * і віддає getSymbolInfo з пам'яті (без round trip на кожен сигнал).
+ * Сповіщає акаунти в Telegram, якщо символ з їх allowedSymbols зник або почав делістинг.
+ * Екземпляр на кожну біржу (див. account.service.js)
+ */
+class ContractRegistry {
+  /**
+   * @param {ExchangeAdapter} exchange - адаптер, через який завантажуються контракти
+   * @param {Function} getAccounts - торгові акаунти цієї біржі (для сповіщень)
+   */
+  constructor(exchange, getAccounts = () => []) {
+    this.exchange = exchange;
+    this.getAccounts = getAccounts;
+    this.contracts = new Map(); // symbol -> symbolInfo
+    this.lastLoadedAt = null;
+    this.refreshInterval = null;
+  }
+
+  /**
+   * Перше завантаження. Можна передати вже отриманий список symbolInfo (з connect)
+   */
+  async initialize(contracts = null) {
+    await this.load(contracts);
+  }
+
+  /**
+   * Завантажує (або оновлює) всі контракти та перевіряє зміни по allowedSymbols
+   */
+  async load(snapshot = null) {
+    const contracts = snapshot || await this.exchange.getContracts();
+
+    const next = new Map();
+    for (const symbolInfo of contracts) {
+      next.set(symbolInfo.symbol, symbolInfo);
+    }
+
+    const isFirstLoad = this.lastLoadedAt === null;
+    const alerts = this.detectChanges(this.contracts, next, isFirstLoad);
+
+    this.contracts = next;
+    this.lastLoadedAt = Date.now();
+
+    logger.info(`[CONTRACTS] Loaded ${next.size} ${this.exchange.label} contracts`);
+
+    if (alerts.length > 0) {
+      await this.notifyAlerts(alerts);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Порівнює старий і новий список для дозволених символів
+   */
+  detectChanges(previous, next, isFirstLoad) {
+    const alerts = [];
+    // Символи, дозволені хоча б одному акаунту на цій біржі
+    const watchedSymbols = new Set(this.getAccounts().flatMap(account => account.allowedSymbols));
+
+    for (const symbol of watchedSymbols) {
+      const before = previous.get(symbol);
+      const after = next.get(symbol);
+
+      if (!after) {
+        if (isFirstLoad || before) {
+          alerts.push({ symbol, type: 'missing' });
+        }
+        continue;
+      }
+
+      if (after.status === 'Delisting' && (isFirstLoad || !before || before.status !== 'Delisting')) {
+        alerts.push({ symbol, type: 'delisting' });
+      }
+    }
+
+    for (const alert of alerts) {
+      logger.warn(`[CONTRACTS] ${alert.symbol}: ${alert.type === 'missing' ? 'contract not found' : 'in delisting'}`);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Кожен акаунт отримує тільки алерти по своїх allowedSymbols
+   */
+  async notifyAlerts(alerts) {
+    for (const account of this.getAccounts()) {
+      const accountAlerts = alerts.filter(alert => account.allowedSymbols.includes(alert.symbol));
+      if (accountAlerts.length === 0) continue;
+
+      try {
+        await account.notify(telegramService.formatContractAlertMessage(accountAlerts, this.exchange.label));
+      } catch (error) {
+        logger.error(`[CONTRACTS] Error sending contract alert to ${account.id}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Запускає періодичне оновлення
+   */
+  startRefresh(intervalMs = config.contracts.refreshIntervalMs) {
+    if (this.refreshInterval) return;
+
+    this.refreshInterval = setInterval(async () => {
+      try {
+        await this.load();
+      } catch (error) {
+        logger.error(`[CONTRACTS] Refresh failed, keeping cached data: ${error.message}`);
+      }
+    }, intervalMs);
+
+    logger.info(`[CONTRACTS] Refresh every ${Math.round(intervalMs / 60000)} min`);
+  }
+
+  stopRefresh() {
+    if (this.refreshInterval) {
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  }
+
+  /**
+   * symbolInfo з кешу; якщо контракту немає в кеші - запит до біржі
+   */
+  async getSymbolInfo(symbol) {
+    const cached = this.contracts.get(symbol);
+    if (cached) {
+      return cached;
+    }
+
+    logger.info(`[CONTRACTS] ${symbol} not cached, fetching from exchange`);
+    const symbolInfo = await this.exchange.getSymbolInfo(symbol);
+    this.contracts.set(symbol, symbolInfo);
+    return symbolInfo;
+  }
+}
+
+export { ContractRegistry };
+export default ContractRegistry;
@@ -0,0 +1,487 @@
+import { config } from '../config/settings.js';
+import {
+  calculateExitPrices,
+  estimateLiquidationPrice,
+  estimateLossAtStop,
+  resolveMarginSettings
+} from './risk.service.js';
+import { contractsToCoins, sleep } from '../utils/helpers.js';
+import logger from '../utils/logger.js';
+
+// Скільки рівнів стакану читаємо для оцінки ліквідності
+const ORDER_BOOK_DEPTH = 50;
+// Як часто перевіряємо виконання post-only ордера
+const MAKER_POLL_MS = 1000;
+// Пауза між спробами виставити TP/SL
+const PROTECTION_RETRY_MS = 1000;
+
+/**
+ * Ціна ліміту: найкраща ціна ± max slippage, округлена "всередину" допуску
+ */
+function getLimitPrice(bestPrice, direction, maxSlippagePercent, pricePrecision) {
+  const factor = Math.pow(10, pricePrecision);
+  const slippage = maxSlippagePercent / 100;
+
+  return direction === 'LONG'
+    ? Math.floor(bestPrice * (1 + slippage) * factor) / factor
+    : Math.ceil(bestPrice * (1 - slippage) * factor) / factor;
+}
+
+/**
+ * Встановлює margin mode та плече символу перед входом і перечитує їх з біржі.
+ * Якщо біржа не застосувала налаштування - вхід не виконується
+ *
+ * @param {number} leverage - плече з розрахунку позиції (може бути знижене через близьку ліквідацію)
+ * @returns {Object} { marginMode, leverage, crossLeverageLimit }
+ */
+export async function applyMarginSettings(account, symbol, leverage = account.risk.leverage) {
+  const target = resolveMarginSettings(symbol, { ...account.risk, leverage });
+
+  await account.exchange.setLeverage(symbol, target.leverage, target);
+  const actual = await account.exchange.getMarginSettings(symbol);
+
+  const expectedLeverage = target.marginMode === 'cross' ? target.crossLeverageLimit : target.leverage;
+  if (actual.marginMode !== target.marginMode || actual.leverage !== expectedLeverage) {
+    throw new Error(
+      `Margin settings not applied for ${symbol}: expected ${target.marginMode} ${expectedLeverage}x, ` +
+      `exchange has ${actual.marginMode} ${actual.leverage}x`
+    );
+  }
+
+  logger.info(`[ENTRY] ${symbol}: ${actual.marginMode} margin, ${actual.leverage}x verified`);
+  return target;
+}
+
+/**
+ * Вхід в позицію згідно config.trading.entryMode
+ *
+ * market    - IOC market ордер
+ * limit_ioc - IOC limit з ціною не гірше best ± MAX_SLIPPAGE_PERCENT;
+ *             якщо в стакані до цієї ціни недостатньо обсягу - вхід скасовується
+ * maker     - post-only limit по найкращому bid (LONG) / ask (SHORT), переставляється
+ *             не більше MAKER_MAX_ATTEMPTS разів за MAKER_MAX_SECONDS; залишок
+ *             добирається market ордером або вхід скасовується (MAKER_FALLBACK)
+ *
+ * У всіх режимах TP/SL рахуються від фактичної середньої ціни виконання
+ * і виставляються тільки на виконану кількість
+ *
+ * @param {TradingAccount} account
+ * @param {Object} positionParams - результат calculatePositionParameters
+ * @param {Object} symbolInfo
+ * @returns {Object} { executed: true, orderResult, orderIds, entryPrice, quantity, coinQuantity, takeProfit, stopLoss,
+ *                     liquidationPrice, lossAtStop, slippagePercent }
+ *                   або { executed: false, reason, info }
+ */
+export async function executeEntry(account, positionParams, symbolInfo) {
+  const { symbol, direction, quantity } = positionParams;
+
+  if (config.trading.entryMode === 'limit_ioc') {
+    return executeLimitIocEntry(account, positionParams, symbolInfo);
+  }
+
+  if (config.trading.entryMode === 'maker') {
+    return executeMakerEntry(account, positionParams, symbolInfo);
+  }
+
+  const orderResult = await account.exchange.openMarketOrder(symbol, direction, quantity);
+
+  if (!(orderResult.filledQuantity > 0)) {
+    return {
+      executed: false,
+      reason: 'Market order was not filled',
+      info: { orderId: orderResult.orderId }
+    };
+  }
+
+  if (orderResult.filledQuantity < quantity) {
+    logger.warn(`[ENTRY] Partial fill: ${orderResult.filledQuantity}/${quantity} contracts, TP/SL sized to filled quantity`);
+  }
+
+  return buildFilledEntry(account, positionParams, symbolInfo, orderResult, orderResult.filledQuantity, orderResult.avgFillPrice);
+}
+
+/**
+ * Результат входу від фактичного виконання: TP/SL від середньої ціни,
+ * розмір - тільки виконана кількість.
+ * orderIds - всі ордери з виконанням (за ними рахуються комісії входу)
+ */
+function buildFilledEntry(account, positionParams, symbolInfo, orderResult, filledQuantity, avgFillPrice, orderIds = [orderResult.orderId]) {
+  const { direction, entryPrice: referencePrice } = positionParams;
+  const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+
+  // Біржа не повернула ціну виконання - лишаємо ціну тікера
+  const entryPrice = avgFillPrice > 0 ? parseFloat(avgFillPrice.toFixed(pricePrecision)) : referencePrice;
+  // Відсотки TP/SL з розрахунку позиції (можуть бути динамічними, див. levels.service.js)
+  const { takeProfit, stopLoss } = calculateExitPrices(entryPrice, direction, symbolInfo, {
+    ...account.risk,
+    takeProfitPercent: positionParams.takeProfitPercent,
+    stopLossPercent: positionParams.stopLossPercent
+  });
+  const slippagePercent = ((entryPrice - referencePrice) / referencePrice) * 100 * (direction === 'LONG' ? 1 : -1);
+  const liquidationPrice = estimateLiquidationPrice(entryPrice, direction, positionParams.liquidationDistance, pricePrecision);
+  const coinQuantity = contractsToCoins(filledQuantity, positionParams.quantoMultiplier);
+  const lossAtStop = estimateLossAtStop(entryPrice, stopLoss, coinQuantity);
+
+  logger.info(
+    `[ENTRY] Filled ${filledQuantity}/${positionParams.quantity} @ ${entryPrice} ` +
+    `(slippage ${slippagePercent.toFixed(3)}% vs ${referencePrice}), TP ${takeProfit}, SL ${stopLoss}`
+  );
+
+  return {
+    executed: true,
+    orderResult,
+    orderIds,
+    entryPrice,
+    quantity: filledQuantity,
+    coinQuantity,
+    takeProfit,
+    stopLoss,
+    liquidationPrice,
+    lossAtStop,
+    slippagePercent
+  };
+}
+
+async function executeLimitIocEntry(account, positionParams, symbolInfo) {
+  const { symbol, direction, quantity } = positionParams;
+  const { maxSlippagePercent } = config.trading;
+  const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+
+  // 1. Стакан: для LONG купуємо з asks, для SHORT продаємо в bids
+  const book = await account.exchange.getOrderBook(symbol, ORDER_BOOK_DEPTH);
+  const levels = direction === 'LONG' ? book.asks : book.bids;
+
+  if (levels.length === 0) {
+    return { executed: false, reason: 'Order book is empty', info: {} };
+  }
+
+  const bestPrice = levels[0].price;
+  const limitPrice = getLimitPrice(bestPrice, direction, maxSlippagePercent, pricePrecision);
+
+  // 2. Обсяг, доступний в межах ліміту
+  const withinLimit = level => (direction === 'LONG' ? level.price <= limitPrice : level.price >= limitPrice);
+  const availableQuantity = levels.filter(withinLimit).reduce((sum, level) => sum + level.size, 0);
+
+  logger.info(
+    `[ENTRY] ${symbol} ${direction}: best ${bestPrice}, limit ${limitPrice} (max ${maxSlippagePercent}%), ` +
+    `available ${availableQuantity} / needed ${quantity} contracts`
+  );
+
+  if (availableQuantity < quantity) {
+    return {
+      executed: false,
+      reason: 'Order book too thin',
+      info: {
+        bestPrice,
+        limitPrice,
+        maxSlippage: `${maxSlippagePercent}%`,
+        available: `${availableQuantity} contracts`,
+        required: `${quantity} contracts`
+      }
+    };
+  }
+
+  // 3. IOC limit - невиконаний залишок біржа скасує
+  const orderResult = await account.exchange.openLimitIocOrder(symbol, direction, quantity, limitPrice);
+
+  if (!(orderResult.filledQuantity > 0)) {
+    return {
+      executed: false,
+      reason: 'IOC limit order was not filled',
+      info: { orderId: orderResult.orderId, limitPrice }
+    };
+  }
+
+  if (orderResult.filledQuantity < quantity) {
+    logger.warn(`[ENTRY] Partial fill: ${orderResult.filledQuantity}/${quantity} contracts, TP/SL sized to filled quantity`);
+  }
+
+  // 4. TP/SL від фактичної середньої ціни виконання
+  return buildFilledEntry(account, positionParams, symbolInfo, orderResult, orderResult.filledQuantity, orderResult.avgFillPrice);
+}
+
+async function executeMakerEntry(account, positionParams, symbolInfo) {
+  const { symbol, direction, quantity } = positionParams;
+  const { makerMaxAttempts, makerMaxSeconds, makerRepriceSeconds, makerFallback } = config.trading;
+  const { exchange } = account;
+  const minQty = symbolInfo.minQty || 0;
+  const deadline = Date.now() + makerMaxSeconds * 1000;
+
+  let filledQuantity = 0;
+  let filledValue = 0;
+  let attempts = 0;
+  let orderResult = null;
+  // Виставлений post-only ордер, виконання якого ще не враховане
+  let activeOrder = null;
+  const orderIds = [];
+  const remaining = () => parseFloat((quantity - filledQuantity).toFixed(6));
+
+  try {
+
+    while (attempts < makerMaxAttempts && Date.now() < deadline && remaining() >= minQty && remaining() > 0) {
+      attempts++;
+
+      // 1. Найкраща ціна своєї сторони книги: для LONG стаємо в bid, для SHORT - в ask
+      const book = await exchange.getOrderBook(symbol, 1);
+      const level = direction === 'LONG' ? book.bids[0] : book.asks[0];
+
+      if (!level) {
+        logger.warn(`[ENTRY] ${symbol}: order book side is empty, attempt ${attempts}/${makerMaxAttempts}`);
+        await sleep(MAKER_POLL_MS);
+        continue;
+      }
+
+      const order = await exchange.openPostOnlyOrder(symbol, direction, remaining(), level.price);
+      if (order.rejected) {
+        // Ціна перетнула книгу - чекаємо на нову найкращу ціну
+        await sleep(MAKER_POLL_MS);
+        continue;
+      }
+      activeOrder = order;
+      orderResult = orderResult || order;
+
+      logger.info(
+        `[ENTRY] Maker attempt ${attempts}/${makerMaxAttempts}: ${order.quantity} contracts @ ${level.price} (order ${order.orderId})`
+      );
+
+      // 2. Чекаємо виконання до переставляння або загального дедлайну
+      const repriceAt = Math.min(Date.now() + makerRepriceSeconds * 1000, deadline);
+      let state = await exchange.getOrder(symbol, order.orderId);
+
+      while (state.status === 'open' && Date.now() < repriceAt) {
+        await sleep(MAKER_POLL_MS);
+        state = await exchange.getOrder(symbol, order.orderId);
+      }
+
+      // 3. Не виконався повністю - знімаємо і читаємо фінальне виконання
+      if (state.status === 'open') {
+        await exchange.cancelOrder(symbol, order.orderId);
+        state = await exchange.getOrder(symbol, order.orderId);
+      }
+
+      filledQuantity = parseFloat((filledQuantity + state.filledQuantity).toFixed(6));
+      filledValue += state.filledQuantity * state.avgFillPrice;
+      if (state.filledQuantity > 0) {
+        orderIds.push(order.orderId);
+      }
+      activeOrder = null;
+    }
+
+    // 4. Залишок: market ордер або відмова від решти
+    const unfilled = remaining();
+    if (unfilled > 0 && unfilled >= minQty) {
+      if (makerFallback === 'market') {
+        logger.warn(`[ENTRY] Maker entry not fully filled after ${attempts} attempt(s), ${unfilled} contracts by market`);
+        const marketOrder = await exchange.openMarketOrder(symbol, direction, unfilled);
+        orderResult = orderResult || marketOrder;
+        filledQuantity = parseFloat((filledQuantity + marketOrder.filledQuantity).toFixed(6));
+        filledValue += marketOrder.filledQuantity * marketOrder.avgFillPrice;
+        if (marketOrder.filledQuantity > 0) {
+          orderIds.push(marketOrder.orderId);
+        }
+      } else if (filledQuantity > 0) {
+        logger.warn(`[ENTRY] Maker entry partially filled: ${filledQuantity}/${quantity} contracts, remainder dropped`);
+      }
+    }
+  } catch (error) {
+    logger.error(`[ENTRY] Maker entry for ${symbol} ${direction} failed: ${error.message}`);
+
+    if (activeOrder) {
+      const state = await cancelMakerOrder(exchange, symbol, activeOrder.orderId);
+      // Стан ордера невідомий - фактичне виконання беремо з позиції на біржі
+      const leg = state ? null : await readPositionLeg(exchange, symbol, direction);
+
+      if (!state && !leg) {
+        // Виконання невідоме - захистити не можна, відкочуємо весь можливий обсяг
+        const rollback = await rollbackEntry(account, symbol, direction, {
+          quantity: parseFloat((filledQuantity + activeOrder.quantity).toFixed(6))
+        }, {});
+        return {
+          executed: false,
+          reason: 'Maker entry failed, fill unknown',
+          info: {
+            error: error.message,
+            order: activeOrder.orderId,
+            rollback: rollback.flat ? 'position closed' : `incomplete ${JSON.stringify(rollback.failures)}`
+          }
+        };
+      }
+
+      if (state) {
+        filledQuantity = parseFloat((filledQuantity + state.filledQuantity).toFixed(6));
+        filledValue += state.filledQuantity * state.avgFillPrice;
+        if (state.filledQuantity > 0) {
+          orderIds.push(activeOrder.orderId);
+        }
+      } else {
+        if (leg.size > filledQuantity) {
+          orderIds.push(activeOrder.orderId);
+        }
+        filledQuantity = leg.size;
+        filledValue = leg.size * leg.entryPrice;
+      }
+    }
+
+    if (!(filledQuantity > 0)) {
+      return {
+        executed: false,
+        reason: 'Maker entry failed',
+        info: { error: error.message, attempts }
+      };
+    }
+
+    logger.warn(`[ENTRY] Maker entry stopped at ${filledQuantity}/${quantity} contracts, protecting filled part`);
+  }
+
+  if (!(filledQuantity > 0)) {
+    return {
+      executed: false,
+      reason: 'Maker order was not filled',
+      info: { attempts, seconds: makerMaxSeconds, fallback: makerFallback }
+    };
+  }
+
+  // 5. TP/SL від середньої ціни всіх виконань
+  return buildFilledEntry(account, positionParams, symbolInfo, orderResult, filledQuantity, filledValue / filledQuantity, orderIds);
+}
+
+/**
+ * Знімає post-only ордер після збою і читає його фінальне виконання.
+ * null - стан невідомий (не прочитався або ордер досі відкритий)
+ */
+async function cancelMakerOrder(exchange, symbol, orderId) {
+  try {
+    await exchange.cancelOrder(symbol, orderId);
+  } catch (error) {
+    logger.warn(`[ENTRY] Could not cancel maker order ${orderId}: ${error.message}`);
+  }
+
+  try {
+    const state = await exchange.getOrder(symbol, orderId);
+    return state.status === 'open' ? null : state;
+  } catch (error) {
+    logger.error(`[ENTRY] Could not read maker order ${orderId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Нога позиції на біржі: { size, entryPrice }; null - позиції прочитати не вдалося
+ */
+async function readPositionLeg(exchange, symbol, direction) {
+  try {
+    const position = (await exchange.getOpenPositions(symbol)).find(pos => pos.direction === direction);
+    return { size: position?.size || 0, entryPrice: position?.entryPrice || 0 };
+  } catch (error) {
+    logger.error(`[ENTRY] Could not read ${symbol} ${direction} position: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Виставляє TP і SL для виконаного входу як одну операцію.
+ * Кожен ордер пробуємо до PROTECTION_ATTEMPTS разів; якщо захист так і не виставлено -
+ * скасовуємо вже виставлене і закриваємо позицію reduce-only market ордером
+ *
+ * @returns {Object} { protected: true, tpResult, slResult }
+ *                   або { protected: false, error, rollback }
+ */
+export async function protectEntry(account, symbol, direction, entry) {
+  const { exchange } = account;
+  let tpResult = null;
+  let slResult = null;
+
+  try {
+    // Take Profit через Limit ордер (0.02% комісія при виконанні)
+    // Один client id на всі спроби: повтор знаходить ордер, прийнятий попри помилку
+    const tpClientOrderId = `t-tp-${Date.now()}`;
+    tpResult = await withAttempts('TP', (retry) =>
+      exchange.setTakeProfitLimit(symbol, direction, entry.takeProfit, entry.quantity, { clientOrderId: tpClientOrderId, retry })
+    );
+
+    // Stop Loss через Price-Triggered Limit ордер (0.02% комісія при виконанні)
+    const slClientOrderId = `t-sl-${Date.now()}`;
+    slResult = await withAttempts('SL', (retry) =>
+      exchange.setStopLossLimit(symbol, direction, entry.stopLoss, entry.quantity, { clientOrderId: slClientOrderId, retry })
+    );
+
+    return { protected: true, tpResult, slResult };
+  } catch (error) {
+    logger.error(`[ENTRY] Protection for ${symbol} ${direction} failed: ${error.message}, rolling back`);
+    const rollback = await rollbackEntry(account, symbol, direction, entry, { tpResult, slResult });
+    return { protected: false, error, rollback };
+  }
+}
+
+async function withAttempts(label, placeFn) {
+  const attempts = config.trading.protectionAttempts;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await placeFn(attempt > 1);
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw new Error(`${label} not placed after ${attempts} attempt(s): ${error.message}`);
+      }
+      logger.warn(`[ENTRY] ${label} attempt ${attempt}/${attempts} failed: ${error.message}, retrying...`);
+      await sleep(PROTECTION_RETRY_MS);
+    }
+  }
+}
+
+/**
+ * Відкат входу: скасування виставлених TP/SL і закриття позиції.
+ * Кожен крок незалежний - помилка одного не зупиняє інші
+ *
+ * @returns {Object} { cancelled: [{ type, orderId }], close, failures: [{ step, error }], flat }
+ */
+async function rollbackEntry(account, symbol, direction, entry, { tpResult, slResult }) {
+  const { exchange } = account;
+  const rollback = { cancelled: [], close: null, failures: [], flat: false };
+
+  if (tpResult) {
+    try {
+      await exchange.cancelOrder(symbol, tpResult.orderId);
+      rollback.cancelled.push({ type: 'TP', orderId: tpResult.orderId });
+    } catch (error) {
+      rollback.failures.push({ step: `cancel TP #${tpResult.orderId}`, error: error.message });
+    }
+  }
+
+  if (slResult) {
+    try {
+      await exchange.cancelStopOrder(symbol, slResult.orderId);
+      rollback.cancelled.push({ type: 'SL', orderId: slResult.orderId });
+    } catch (error) {
+      rollback.failures.push({ step: `cancel SL #${slResult.orderId}`, error: error.message });
+    }
+  }
+
+  try {
+    rollback.close = await exchange.closePositionMarket(symbol, direction, entry.quantity);
+    rollback.flat = rollback.close.filledQuantity >= entry.quantity;
+
+    if (!rollback.flat) {
+      rollback.failures.push({
+        step: 'close position',
+        error: `closed ${rollback.close.filledQuantity}/${entry.quantity} contracts`
+      });
+    }
+  } catch (error) {
+    rollback.failures.push({ step: 'close position', error: error.message });
+  }
+
+  if (rollback.flat) {
+    logger.warn(`[ENTRY] Rollback done: ${symbol} closed @ ${rollback.close.avgFillPrice}, cancelled ${rollback.cancelled.length} order(s)`);
+  } else {
+    logger.error(`[ENTRY] Rollback incomplete for ${symbol}: ${JSON.stringify(rollback.failures)}`);
+  }
+
+  return rollback;
+}
+
+export default {
+  applyMarginSettings,
+  executeEntry,
+  protectEntry
+};
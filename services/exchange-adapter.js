@@ -0,0 +1,154 @@
+/**
+ * Контракт адаптера біржі (USDT perpetual futures)
+ *
+ * Торговий потік (index.js, position.service.js) викликає тільки ці методи,
+ * тому біржу для акаунта обирає конфігурація (exchange: 'gateio' | 'bybit').
+ *
+ * Спільні формати:
+ * - symbol: 'ADAUSDT'
+ * - direction: 'LONG' | 'SHORT'
+ * - quantity: кількість контрактів (монети = контракти × quantoMultiplier)
+ * - symbolInfo: { symbol, minQty, maxQty, tickSize, pricePrecision,
+ *                 status: 'Trading' | 'Delisting', quantoMultiplier, leverageMin, leverageMax,
+ *                 maintenanceRate (частка, null - невідомий) }
+ * - position: { symbol, direction, size, entryPrice, markPrice, unrealisedPnl, leverage, mode,
+ *               marginMode: 'isolated' | 'cross', margin }
+ *   (в hedge mode по символу можуть бути дві позиції - LONG і SHORT)
+ * - order: { orderId, symbol, size (+ купівля / - продаж), price, triggerPrice, reduceOnly, text }
+ * - trade: { id, symbol, orderId, side: 'buy' | 'sell', size, price, fee, role, createTime, text }
+ *   (fee - фактична комісія в USDT: + сплачено, - maker rebate)
+ * - cancel: { orderId, cancelled, alreadyClosed } - вже виконаний ордер не є помилкою
+ */
+export class ExchangeAdapter {
+  /**
+   * @param {string} name - ключ біржі в конфігурації ('gateio', 'bybit')
+   * @param {string} label - назва для логів та повідомлень
+   */
+  constructor(name, label) {
+    this.name = name;
+    this.label = label;
+    this.isConnected = false;
+    this.userId = null;
+    this.contractsSnapshot = null; // symbolInfo[] з останньої перевірки підключення
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.label} adapter does not implement ${method}()`);
+  }
+
+  /** Перевіряє публічний та приватний доступ */
+  async connect() { this.notImplemented('connect'); }
+
+  /** Доступний USDT баланс futures акаунта */
+  async getUSDTBalance() { this.notImplemented('getUSDTBalance'); }
+
+  /** symbolInfo[] всіх USDT perpetual контрактів */
+  async getContracts() { this.notImplemented('getContracts'); }
+
+  /** symbolInfo одного контракту */
+  async getSymbolInfo(symbol) { this.notImplemented('getSymbolInfo'); }
+
+  /** Остання ціна */
+  async getCurrentPrice(symbol) { this.notImplemented('getCurrentPrice'); }
+
+  /**
+   * Funding контракту: { fundingRate (частка, 0.0001 = 0.01%), nextFundingTime (ms), fundingIntervalSec }
+   * fundingRate > 0 - LONG платить SHORT
+   */
+  async getFundingInfo(symbol) { this.notImplemented('getFundingInfo'); }
+
+  /**
+   * Фактичні funding платежі з журналу акаунта за період:
+   * [{ id, symbol, time (ms), amount (USDT, + отримано / - сплачено) }]
+   */
+  async getFundingPayments(symbol, fromMs, toMs) { this.notImplemented('getFundingPayments'); }
+
+  /**
+   * Свічки від старої до нової: [{ time (ms), open, high, low, close, volume }]
+   * interval: '1m' | '5m' | '15m' | '30m' | '1h' | '4h' | '1d'
+   */
+  async getCandles(symbol, interval = '5m', limit = 50) { this.notImplemented('getCandles'); }
+
+  /** Стакан: { asks: [{ price, size }], bids: [{ price, size }] }, size в контрактах, від найкращої ціни */
+  async getOrderBook(symbol, limit = 20) { this.notImplemented('getOrderBook'); }
+
+  /**
+   * Плече та margin mode символу.
+   * cross: плече до crossLeverageLimit з маржею з усього futures балансу
+   */
+  async setLeverage(symbol, leverage, { marginMode = 'isolated', crossLeverageLimit = null } = {}) {
+    this.notImplemented('setLeverage');
+  }
+
+  /** Поточні налаштування символу на біржі: { marginMode, leverage, crossLeverageLimit } */
+  async getMarginSettings(symbol) { this.notImplemented('getMarginSettings'); }
+
+  /**
+   * Market вхід (IOC): { orderId, clientOrderId, symbol, direction, quantity, filledQuantity, avgFillPrice }
+   * filledQuantity/avgFillPrice - фактичне виконання, від нього рахуються TP/SL
+   */
+  async openMarketOrder(symbol, direction, quantity) { this.notImplemented('openMarketOrder'); }
+
+  /**
+   * IOC limit вхід (невиконаний залишок скасовується біржею):
+   * { orderId, clientOrderId, symbol, direction, quantity, filledQuantity, avgFillPrice }
+   */
+  async openLimitIocOrder(symbol, direction, quantity, price) { this.notImplemented('openLimitIocOrder'); }
+
+  /**
+   * Post-only limit вхід (тільки maker): { orderId, clientOrderId, symbol, direction, quantity, price, rejected }
+   * rejected: true - ордер забрав би ліквідність і біржа його відхилила
+   */
+  async openPostOnlyOrder(symbol, direction, quantity, price) { this.notImplemented('openPostOnlyOrder'); }
+
+  /** Стан ордера: { orderId, status: 'open' | 'finished', quantity, filledQuantity, avgFillPrice } */
+  async getOrder(symbol, orderId) { this.notImplemented('getOrder'); }
+
+  /**
+   * Reduce-only market закриття (відкат невдалого входу):
+   * { orderId, symbol, direction, quantity, filledQuantity, avgFillPrice }
+   */
+  async closePositionMarket(symbol, direction, quantity) { this.notImplemented('closePositionMarket'); }
+
+  /**
+   * Reduce-only limit TP: { orderId, price }.
+   * clientOrderId - client id, спільний для повторних спроб; retry: true - спершу шукати
+   * вже прийнятий ордер з цим id (попередня спроба могла пройти попри помилку)
+   */
+  async setTakeProfitLimit(symbol, direction, price, quantity, { clientOrderId, retry } = {}) { this.notImplemented('setTakeProfitLimit'); }
+
+  /** Reduce-only stop-limit SL: { orderId, price }. Опції як у setTakeProfitLimit */
+  async setStopLossLimit(symbol, direction, price, quantity, { clientOrderId, retry } = {}) { this.notImplemented('setStopLossLimit'); }
+
+  async cancelOrder(symbol, orderId) { this.notImplemented('cancelOrder'); }
+
+  async cancelStopOrder(symbol, orderId) { this.notImplemented('cancelStopOrder'); }
+
+  async getOpenPositions(symbol = null) { this.notImplemented('getOpenPositions'); }
+
+  /**
+   * Відкриті звичайні ордери (TP). Reduce-only ордери мають closeDirection - ногу ('LONG' | 'SHORT'),
+   * яку вони закривають (в dual mode size закриваючого ордера може бути 0)
+   */
+  async getOpenOrders(symbol = null) { this.notImplemented('getOpenOrders'); }
+
+  /** Відкриті умовні ордери (SL), closeDirection як у getOpenOrders */
+  async getOpenStopOrders(symbol = null) { this.notImplemented('getOpenStopOrders'); }
+
+  async getTradeHistory(symbol = null, limit = 50) { this.notImplemented('getTradeHistory'); }
+
+  async hasOpenPosition(symbol, direction = null) {
+    const positions = await this.getOpenPositions(symbol);
+    return positions.some(position => !direction || position.direction === direction);
+  }
+
+  /**
+   * Real-time потік ордерів/позицій (EventEmitter з isHealthy/connect/disconnect).
+   * null - позиції відстежуються тільки REST polling'ом
+   */
+  createStream() {
+    return null;
+  }
+}
+
+export default ExchangeAdapter;
@@ -0,0 +1,303 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import timeSyncService from './time-sync.service.js';
+
+/**
+ * Gate.io Futures WebSocket v4 клієнт
+ * Документація: https://www.gate.io/docs/developers/futures/ws/en/
+ *
+ * Приватні канали (futures.orders, futures.usertrades, futures.positions)
+ * потребують user id та підпису: HMAC-SHA512("channel=<c>&event=<e>&time=<t>")
+ *
+ * Події: 'open', 'close', 'order', 'usertrade', 'position', 'ticker'
+ */
+class GateIOWebSocketService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.url = options.url || config.gateio.wsURL;
+    this.apiKey = options.apiKey || config.gateio.apiKey;
+    this.apiSecret = options.apiSecret || config.gateio.apiSecret;
+    this.pingIntervalMs = options.pingIntervalMs || 15000;
+    // Якщо за цей час не прийшло жодного повідомлення - вважаємо з'єднання мертвим
+    this.staleTimeoutMs = options.staleTimeoutMs || 45000;
+    this.maxReconnectDelayMs = options.maxReconnectDelayMs || 30000;
+
+    this.ws = null;
+    this.userId = null;
+    this.contracts = [];
+    this.isConnected = false;
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.lastMessageAt = 0;
+  }
+
+  /**
+   * Підключається та підписується на канали
+   * @param {Object} params
+   * @param {string|number} params.userId - Gate.io user id (поле user з /futures/usdt/accounts)
+   * @param {string[]} params.symbols - символи для futures.tickers (ADAUSDT, ...)
+   */
+  connect({ userId, symbols = [] }) {
+    this.userId = userId;
+    this.contracts = symbols.map(s => s.replace('USDT', '_USDT'));
+    this.shouldReconnect = true;
+    this.openSocket();
+  }
+
+  /**
+   * Закриває з'єднання без перепідключення
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.terminate();
+      this.ws = null;
+    }
+
+    this.isConnected = false;
+    logger.info('[GATEIO-WS] Disconnected');
+  }
+
+  /**
+   * Сокет живий і отримував повідомлення нещодавно
+   */
+  isHealthy() {
+    return this.isConnected && Date.now() - this.lastMessageAt < this.staleTimeoutMs;
+  }
+
+  openSocket() {
+    logger.info(`[GATEIO-WS] Connecting to ${this.url}...`);
+
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      this.lastMessageAt = Date.now();
+      logger.info('[GATEIO-WS] ✓ Connected');
+
+      this.subscribeAll();
+      this.startHeartbeat();
+      this.emit('open');
+    });
+
+    ws.on('message', (data) => {
+      this.lastMessageAt = Date.now();
+      this.handleMessage(data);
+    });
+
+    ws.on('error', (error) => {
+      logger.error(`[GATEIO-WS] Socket error: ${error.message}`);
+    });
+
+    ws.on('close', (code) => {
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      this.stopHeartbeat();
+
+      if (this.ws === ws) {
+        this.ws = null;
+      }
+
+      logger.warn(`[GATEIO-WS] Connection closed (code ${code})`);
+      if (wasConnected) {
+        this.emit('close');
+      }
+
+      this.scheduleReconnect();
+    });
+  }
+
+  scheduleReconnect() {
+    if (!this.shouldReconnect) return;
+
+    const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), this.maxReconnectDelayMs);
+    this.reconnectAttempts++;
+
+    logger.info(`[GATEIO-WS] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.openSocket(), delay);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.staleTimeoutMs) {
+        logger.warn('[GATEIO-WS] No messages received, terminating stale connection');
+        this.ws?.terminate();
+        return;
+      }
+
+      this.send({ time: this.nowSeconds(), channel: 'futures.ping' });
+    }, this.pingIntervalMs);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * (Пере)підписка на всі канали після кожного підключення
+   */
+  subscribeAll() {
+    if (this.userId) {
+      this.subscribe('futures.orders', [String(this.userId), '!all'], true);
+      this.subscribe('futures.usertrades', [String(this.userId), '!all'], true);
+      this.subscribe('futures.positions', [String(this.userId), '!all'], true);
+    } else {
+      logger.warn('[GATEIO-WS] User id unknown, private channels skipped');
+    }
+
+    if (this.contracts.length > 0) {
+      this.subscribe('futures.tickers', this.contracts, false);
+    }
+  }
+
+  subscribe(channel, payload, isPrivate) {
+    const time = this.nowSeconds();
+    const message = { time, channel, event: 'subscribe', payload };
+
+    if (isPrivate) {
+      message.auth = {
+        method: 'api_key',
+        KEY: this.apiKey,
+        SIGN: this.sign(channel, 'subscribe', time)
+      };
+    }
+
+    logger.info(`[GATEIO-WS] Subscribing to ${channel}`);
+    this.send(message);
+  }
+
+  sign(channel, event, time) {
+    return crypto
+      .createHmac('sha512', this.apiSecret)
+      .update(`channel=${channel}&event=${event}&time=${time}`)
+      .digest('hex');
+  }
+
+  send(message) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return false;
+    this.ws.send(JSON.stringify(message));
+    return true;
+  }
+
+  nowSeconds() {
+    return timeSyncService.nowSeconds();
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      logger.warn(`[GATEIO-WS] Invalid message: ${data.toString().substring(0, 200)}`);
+      return;
+    }
+
+    const { channel, event, result, error } = message;
+
+    if (channel === 'futures.pong') return;
+
+    if (event === 'subscribe') {
+      if (error) {
+        logger.error(`[GATEIO-WS] Subscription to ${channel} failed: ${JSON.stringify(error)}`);
+      } else {
+        logger.info(`[GATEIO-WS] ✓ Subscribed to ${channel}`);
+      }
+      return;
+    }
+
+    if (event !== 'update' || !Array.isArray(result)) return;
+
+    for (const item of result) {
+      switch (channel) {
+        case 'futures.orders':
+          this.emit('order', this.parseOrder(item));
+          break;
+        case 'futures.usertrades':
+          this.emit('usertrade', this.parseUserTrade(item));
+          break;
+        case 'futures.positions':
+          this.emit('position', this.parsePosition(item));
+          break;
+        case 'futures.tickers':
+          this.emit('ticker', this.parseTicker(item));
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  parseOrder(order) {
+    return {
+      orderId: order.id?.toString() || '',
+      symbol: this.unformatSymbol(order.contract),
+      size: parseFloat(order.size || '0'),
+      left: parseFloat(order.left || '0'),
+      price: parseFloat(order.price || '0'),
+      fillPrice: parseFloat(order.fill_price || '0'),
+      status: order.status,
+      finishAs: order.finish_as,
+      reduceOnly: Boolean(order.is_reduce_only),
+      text: order.text
+    };
+  }
+
+  parseUserTrade(trade) {
+    return {
+      id: trade.id,
+      orderId: trade.order_id?.toString() || '',
+      symbol: this.unformatSymbol(trade.contract),
+      size: parseFloat(trade.size || '0'),
+      price: parseFloat(trade.price || '0'),
+      role: trade.role,
+      text: trade.text,
+      createTime: trade.create_time_ms ? trade.create_time_ms / 1000 : trade.create_time
+    };
+  }
+
+  parsePosition(position) {
+    const mode = position.mode || 'single';
+    return {
+      symbol: this.unformatSymbol(position.contract),
+      // Нога hedge mode; в single mode закрита позиція (size 0) сторони не має
+      direction: mode === 'dual_long' ? 'LONG' : mode === 'dual_short' ? 'SHORT' : null,
+      size: parseFloat(position.size || '0'),
+      entryPrice: parseFloat(position.entry_price || '0'),
+      leverage: parseFloat(position.leverage || '0'),
+      mode,
+      updatedAt: position.time_ms || Date.now()
+    };
+  }
+
+  parseTicker(ticker) {
+    return {
+      symbol: this.unformatSymbol(ticker.contract),
+      last: parseFloat(ticker.last || '0'),
+      markPrice: parseFloat(ticker.mark_price || '0')
+    };
+  }
+
+  unformatSymbol(contract) {
+    if (!contract) return '';
+    return contract.replace('_USDT', 'USDT');
+  }
+}
+
+export { GateIOWebSocketService };
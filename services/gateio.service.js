@@ -2,21 +2,74 @@ import crypto from 'crypto';
 import axios from 'axios';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+import { RateLimiter } from '../utils/rate-limiter.js';
+import timeSyncService from './time-sync.service.js';
+import { ExchangeAdapter } from './exchange-adapter.js';
+import { GateIOWebSocketService } from './gateio-ws.service.js';
+
+// Ліміти Gate.io (з запасом): створення/скасування ордерів 100 r/s,
+// інші приватні та публічні endpoint'и 200 r/10s
+const RATE_LIMIT_BUCKETS = {
+  orders: { capacity: 10, refillPerSecond: 10 },
+  cancel: { capacity: 10, refillPerSecond: 10 },
+  private: { capacity: 20, refillPerSecond: 15 },
+  public: { capacity: 20, refillPerSecond: 15 }
+};
+
+const ORDER_ENDPOINTS = ['/futures/usdt/orders', '/futures/usdt/price_orders'];
+
+// Помилки, після яких повтор не має сенсу
+const FATAL_LABELS = new Set([
+  'INVALID_KEY',
+  'INVALID_SIGNATURE',
+  'MISSING_REQUIRED_HEADER',
+  'FORBIDDEN',
+  'ACCOUNT_LOCKED',
+  'BALANCE_NOT_ENOUGH',
+  'INSUFFICIENT_AVAILABLE',
+  'INVALID_PARAM_VALUE',
+  'INVALID_ARGUMENT',
+  'CONTRACT_NOT_FOUND',
+  'ORDER_NOT_FOUND',
+  'ORDER_FINISHED',
+  'POSITION_NOT_FOUND',
+  'REDUCE_ONLY_FAIL',
+  'ORDER_POC_IMMEDIATE'
+]);
+
+// Ордер вже виконаний/скасований - при скасуванні це очікуваний результат
+const ORDER_GONE_LABELS = ['ORDER_NOT_FOUND', 'ORDER_FINISHED'];
+
+// Тимчасові помилки біржі
+const RETRYABLE_LABELS = new Set([
+  'TOO_MANY_REQUESTS',
+  'SERVER_ERROR',
+  'INTERNAL',
+  'TOO_BUSY',
+  'REQUEST_EXPIRED'
+]);
 
 /**
- * Gate.io Futures API v4 Service
- * Офіційна документація: https://www.gate.io/docs/developers/futures/
- * 
- * ВАЖЛИВО: Підтримка дробових контрактів через X-Gate-Size-Decimal: 1 header
- * Size має бути NUMBER (не string) для дробових значень
+ * Gate.io USDT Futures (API v4) - реалізація ExchangeAdapter
+ * Документація: https://www.gate.io/docs/developers/futures/
+ *
+ * ВАЖЛИВО: дробові контракти через header X-Gate-Size-Decimal: 1,
+ * size має бути NUMBER (не string)
  */
-class GateIOService {
-  constructor() {
-    this.baseURL = 'https://api.gateio.ws';
+class GateIOService extends ExchangeAdapter {
+  /**
+   * @param {Object} options - облікові дані акаунта ({ apiKey, apiSecret }),
+   *                           за замовчуванням з config.gateio
+   */
+  constructor(options = {}) {
+    super('gateio', 'Gate.io');
+    // config.gateio.baseURL містить /api/v4 - він входить у підпис, тому зберігаємо окремо
     this.apiPrefix = '/api/v4';
-    this.apiKey = config.gateio.apiKey;
-    this.apiSecret = config.gateio.apiSecret;
-    this.isConnected = false;
+    this.baseURL = config.gateio.baseURL.replace(/\/api\/v4\/?$/, '');
+    this.apiKey = options.apiKey || config.gateio.apiKey;
+    this.apiSecret = options.apiSecret || config.gateio.apiSecret;
+    this.rateLimiter = new RateLimiter(RATE_LIMIT_BUCKETS);
   }
 
   /**
@@ -42,28 +95,208 @@ class GateIOService {
       .update(prehashString)
       .digest('hex');
 
-    logger.info('[GATEIO] ━━━ SIGNATURE DEBUG ━━━');
-    logger.info(`  Method: ${method}`);
-    logger.info(`  Resource Path: ${resourcePath}`);
-    logger.info(`  Query String: "${queryString}"`);
-    logger.info(`  Body: ${bodyString || '(empty)'}`);
-    logger.info(`  Body Hash: ${bodyHash}`);
-    logger.info(`  Timestamp: ${timestamp}`);
-    logger.info(`  Prehash: ${prehashString.replace(/\n/g, '\\n')}`);
-    logger.info(`  Signature: ${signature.substring(0, 40)}...`);
+    // Prehash та підпис не логуємо - лише параметри запиту на рівні debug
+    logger.debug('[GATEIO] ━━━ SIGNATURE DEBUG ━━━');
+    logger.debug(`  Method: ${method}`);
+    logger.debug(`  Resource Path: ${resourcePath}`);
+    logger.debug(`  Query String: "${queryString}"`);
+    logger.debug(`  Body Hash: ${bodyHash}`);
+    logger.debug(`  Timestamp: ${timestamp}`);
 
     return signature;
   }
 
   /**
-   * PUBLIC запит (без автентифікації)
+   * PUBLIC запит з rate limit та повторами
    */
   async publicRequest(method, endpoint) {
+    return this.withRetry(
+      `${method} ${endpoint}`,
+      'public',
+      () => this.sendPublicRequest(method, endpoint)
+    );
+  }
+
+  /**
+   * PRIVATE запит з rate limit та повторами.
+   * Підпис і timestamp генеруються заново для кожної спроби.
+   * Створення ордера ідемпотентне: перед повтором шукаємо вже прийнятий ордер за text (client id).
+   * expectedLabels - помилки, які викликач обробляє сам (логуються тільки в debug)
+   */
+  async privateRequest(method, endpoint, queryParams = {}, body = null, { expectedLabels = [] } = {}) {
+    const isOrderSubmission = method === 'POST' && ORDER_ENDPOINTS.includes(endpoint);
+
+    return this.withRetry(
+      `${method} ${endpoint}`,
+      this.getRateLimitBucket(method, endpoint),
+      () => this.sendPrivateRequest(method, endpoint, queryParams, body, { expectedLabels }),
+      { beforeRetry: isOrderSubmission ? (lastError) => this.findSubmittedOrder(endpoint, body, lastError) : null }
+    );
+  }
+
+  /**
+   * Виконує запит з експоненційним backoff для тимчасових помилок
+   */
+  async withRetry(description, bucket, requestFn, { beforeRetry = null } = {}) {
+    const { maxRetries } = config.exchange.retry;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      if (attempt > 0) {
+        const delay = this.getRetryDelay(attempt);
+        logger.warn(
+          `[GATEIO] Retry ${attempt}/${maxRetries} for ${description} in ${delay}ms ` +
+          `(${this.classifyError(lastError).reason})`
+        );
+        await sleep(delay);
+
+        if (beforeRetry) {
+          const existing = await beforeRetry(lastError);
+          if (existing) {
+            return existing;
+          }
+        }
+      }
+
+      await this.rateLimiter.acquire(bucket);
+
+      try {
+        return await requestFn();
+      } catch (error) {
+        lastError = error;
+        const { retryable, reason } = this.classifyError(error);
+
+        if (error.response?.status === 429) {
+          this.rateLimiter.drainUntil(bucket, this.getRateLimitReset(error));
+        }
+
+        // Timestamp відхилено - перевимірюємо offset перед повтором
+        if (reason === 'REQUEST_EXPIRED') {
+          await timeSyncService.sync().catch(() => {});
+        }
+
+        if (!retryable) {
+          throw error;
+        }
+
+        if (attempt === maxRetries) {
+          logger.error(`[GATEIO] ${description} failed after ${attempt + 1} attempts: ${reason}`);
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Класифікує помилку: retryable (мережа, 429, 5xx, тимчасові label'и) чи fatal
+   */
+  classifyError(error) {
+    const status = error?.response?.status;
+    const label = error?.response?.data?.label;
+
+    if (!error?.response) {
+      return { retryable: true, reason: `network: ${error?.code || error?.message}` };
+    }
+
+    if (label && FATAL_LABELS.has(label)) {
+      return { retryable: false, reason: label };
+    }
+
+    if (label && RETRYABLE_LABELS.has(label)) {
+      return { retryable: true, reason: label };
+    }
+
+    if (status === 429 || status >= 500) {
+      return { retryable: true, reason: `HTTP ${status}${label ? ' ' + label : ''}` };
+    }
+
+    return { retryable: false, reason: label || `HTTP ${status}` };
+  }
+
+  /**
+   * Невизначений результат: запит міг дійти до біржі (мережа або 5xx)
+   */
+  isUncertainFailure(error) {
+    return !error?.response || error.response.status >= 500;
+  }
+
+  getRetryDelay(attempt) {
+    const { baseDelayMs, maxDelayMs } = config.exchange.retry;
+    const delay = baseDelayMs * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * baseDelayMs;
+    return Math.min(Math.round(delay + jitter), maxDelayMs);
+  }
+
+  getRateLimitBucket(method, endpoint) {
+    if (ORDER_ENDPOINTS.some(path => endpoint.startsWith(path))) {
+      if (method === 'POST') return 'orders';
+      if (method === 'DELETE') return 'cancel';
+    }
+    return 'private';
+  }
+
+  /**
+   * Час скидання ліміту з заголовка X-Gate-RateLimit-Reset-Timestamp (ms)
+   */
+  getRateLimitReset(error) {
+    const reset = parseInt(error.response?.headers?.['x-gate-ratelimit-reset-timestamp'] || '0');
+    return reset > Date.now() ? reset : Date.now() + 1000;
+  }
+
+  /**
+   * Шукає ордер, який міг бути прийнятий біржею попри помилку відповіді
+   */
+  async findSubmittedOrder(endpoint, body, lastError) {
+    if (!this.isUncertainFailure(lastError)) {
+      return null;
+    }
+
+    return this.findOrderByText(endpoint, body);
+  }
+
+  /**
+   * Шукає вже прийнятий ордер з тим самим text (client id), що й body.
+   * Звичайні ордери - через /orders/{text}, price-ордери - серед відкритих
+   */
+  async findOrderByText(endpoint, body) {
+    try {
+      if (endpoint === '/futures/usdt/orders' && body?.text) {
+        const order = await this.sendPrivateRequest('GET', `/futures/usdt/orders/${encodeURIComponent(body.text)}`, {}, null, {
+          expectedLabels: ['ORDER_NOT_FOUND']
+        });
+        logger.warn(`[GATEIO] Order ${body.text} already accepted (ID ${order.id}), not resubmitting`);
+        return order;
+      }
+
+      if (endpoint === '/futures/usdt/price_orders' && body?.initial?.text) {
+        const orders = await this.sendPrivateRequest('GET', '/futures/usdt/price_orders', {
+          status: 'open',
+          contract: body.initial.contract
+        });
+        const order = orders.find(o => o.initial?.text === body.initial.text);
+        if (order) {
+          logger.warn(`[GATEIO] Price order ${body.initial.text} already accepted (ID ${order.id}), not resubmitting`);
+          return order;
+        }
+      }
+    } catch (error) {
+      if (error.response?.data?.label !== 'ORDER_NOT_FOUND') {
+        logger.warn(`[GATEIO] Could not check for existing order: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * PUBLIC запит (без автентифікації) - одна спроба
+   */
+  async sendPublicRequest(method, endpoint) {
     const url = `${this.baseURL}${this.apiPrefix}${endpoint}`;
 
     try {
-      logger.info('[GATEIO] ═══ PUBLIC REQUEST ═══');
-      logger.info(`  ${method} ${url}`);
+      logger.debug('[GATEIO] ═══ PUBLIC REQUEST ═══');
+      logger.debug(`  ${method} ${url}`);
 
       const response = await axios({
         method,
@@ -75,9 +308,9 @@ class GateIOService {
         }
       });
 
-      logger.info('[GATEIO] ═══ PUBLIC RESPONSE ═══');
-      logger.info(`  Status: ${response.status}`);
-      logger.info(`  Data: ${JSON.stringify(response.data).substring(0, 300)}...`);
+      logger.debug('[GATEIO] ═══ PUBLIC RESPONSE ═══');
+      logger.debug(`  Status: ${response.status}`);
+      logger.debug(`  Data: ${JSON.stringify(response.data).substring(0, 300)}...`);
 
       return response.data;
     } catch (error) {
@@ -90,10 +323,11 @@ class GateIOService {
   }
 
   /**
-   * PRIVATE запит (з HMAC-SHA512 автентифікацією)
+   * PRIVATE запит (з HMAC-SHA512 автентифікацією) - одна спроба
    */
-  async privateRequest(method, endpoint, queryParams = {}, body = null) {
-    const timestamp = Math.floor(Date.now() / 1000).toString();
+  async sendPrivateRequest(method, endpoint, queryParams = {}, body = null, { expectedLabels = [] } = {}) {
+    // Час біржі з урахуванням виміряного offset локального годинника
+    const timestamp = timeSyncService.nowSeconds().toString();
 
     const resourcePath = `${this.apiPrefix}${endpoint}`;
 
@@ -126,12 +360,10 @@ class GateIOService {
     };
 
     try {
-      logger.info('[GATEIO] ═══ PRIVATE REQUEST ═══');
-      logger.info(`  ${method} ${url}`);
-      logger.info(`  KEY: ${this.apiKey.substring(0, 15)}...`);
-      logger.info(`  Timestamp: ${timestamp}`);
-      logger.info(`  SIGN: ${signature.substring(0, 40)}...`);
-      if (bodyString) logger.info(`  Body: ${bodyString}`);
+      logger.debug('[GATEIO] ═══ PRIVATE REQUEST ═══');
+      logger.debug(`  ${method} ${url}`);
+      logger.debug(`  Timestamp: ${timestamp}`);
+      if (bodyString) logger.debug(`  Body: ${bodyString}`);
 
       const response = await axios({
         method,
@@ -140,17 +372,23 @@ class GateIOService {
         data: bodyString || undefined
       });
 
-      logger.info('[GATEIO] ═══ PRIVATE RESPONSE ═══');
-      logger.info(`  Status: ${response.status}`);
-      logger.info(`  Data: ${JSON.stringify(response.data).substring(0, 500)}...`);
+      logger.debug('[GATEIO] ═══ PRIVATE RESPONSE ═══');
+      logger.debug(`  Status: ${response.status}`);
+      logger.debug(`  Data: ${JSON.stringify(response.data).substring(0, 500)}...`);
 
       return response.data;
     } catch (error) {
+      const label = error.response?.data?.label;
+      if (label && expectedLabels.includes(label)) {
+        logger.debug(`[GATEIO] ${method} ${resourcePath}: ${label}`);
+        throw error;
+      }
+
       logger.error('[GATEIO] ✗✗✗ PRIVATE ERROR ✗✗✗');
+      logger.error(`  ${method} ${resourcePath}`);
       logger.error(`  Status: ${error.response?.status || 'N/A'}`);
       logger.error(`  Message: ${error.message}`);
       logger.error(`  Response: ${JSON.stringify(error.response?.data)}`);
-      logger.error(`  Headers: ${JSON.stringify(error.response?.headers)}`);
       throw error;
     }
   }
@@ -175,6 +413,7 @@ class GateIOService {
       const contracts = await this.publicRequest('GET', '/futures/usdt/contracts');
 
       if (Array.isArray(contracts) && contracts.length > 0) {
+        this.contractsSnapshot = contracts.map(info => this.parseContractInfo(info));
         logger.info(`[GATEIO] ✓ Found ${contracts.length} contracts`);
         logger.info(`[GATEIO] ✓ Sample: ${contracts[0].name}`);
         logger.info('[GATEIO] ✓✓✓ PUBLIC TEST PASSED ✓✓✓');
@@ -198,8 +437,19 @@ class GateIOService {
       const account = await this.privateRequest('GET', '/futures/usdt/accounts');
 
       if (account && account.total !== undefined) {
+        // user id потрібен для підписки на приватні WebSocket канали
+        this.userId = account.user || null;
         logger.info(`[GATEIO] ✓ Total: ${account.total} USDT`);
         logger.info(`[GATEIO] ✓ Available: ${account.available} USDT`);
+
+        // Ордери та позиції в single і dual mode адресуються по-різному
+        if (account.in_dual_mode !== undefined && Boolean(account.in_dual_mode) !== this.isDualMode()) {
+          throw new Error(
+            `Account is in ${account.in_dual_mode ? 'dual_mode' : 'single_mode'}, ` +
+            `but POSITION_MODE=${config.exchange.positionMode}`
+          );
+        }
+
         logger.info('[GATEIO] ✓✓✓ PRIVATE AUTH TEST PASSED ✓✓✓');
         return true;
       }
@@ -217,9 +467,10 @@ class GateIOService {
       logger.info('[GATEIO] ╔════════════════════════════════════╗');
       logger.info('[GATEIO] ║  CONNECTING TO GATE.IO API v4      ║');
       logger.info('[GATEIO] ╚════════════════════════════════════╝');
+      logger.info(`[GATEIO] Environment: ${config.exchange.environmentLabel}`);
       logger.info(`[GATEIO] Base URL: ${this.baseURL}${this.apiPrefix}`);
-      logger.info(`[GATEIO] API Key: ${this.apiKey.substring(0, 20)}...`);
-      logger.info(`[GATEIO] Position Mode: ${config.gateio.positionMode}`);
+      logger.info(`[GATEIO] API Key: ${this.apiKey.substring(0, 4)}****`);
+      logger.info(`[GATEIO] Position Mode: ${config.exchange.positionMode}`);
       logger.info(`[GATEIO] Fractional Contracts: ENABLED (X-Gate-Size-Decimal: 1)`);
 
       await this.testPublicConnection();
@@ -260,28 +511,51 @@ class GateIOService {
     try {
       const contract = this.formatSymbol(symbol);
       const info = await this.publicRequest('GET', `/futures/usdt/contracts/${contract}`);
-
-      const minQty = parseInt(info.order_size_min || '1');
-      const maxQty = parseInt(info.order_size_max || '1000000');
-      const orderPriceRound = parseFloat(info.order_price_round || '0.01');
-      const pricePrecision = Math.abs(Math.floor(Math.log10(orderPriceRound)));
-
-      return {
-        symbol: this.unformatSymbol(info.name),
-        contract: info.name,
-        minQty: minQty,
-        maxQty: maxQty,
-        tickSize: minQty,
-        pricePrecision: pricePrecision,
-        status: info.in_delisting ? 'Delisting' : 'Trading',
-        quantoMultiplier: parseFloat(info.quanto_multiplier || '0.0001')
-      };
+      return this.parseContractInfo(info);
     } catch (error) {
       logger.error(`[GATEIO] Error getting symbol info: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Всі USDT контракти у форматі symbolInfo
+   */
+  async getContracts() {
+    try {
+      const contracts = await this.publicRequest('GET', '/futures/usdt/contracts');
+      return contracts.map(info => this.parseContractInfo(info));
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting contracts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Перетворює контракт Gate.io у symbolInfo, з яким працює бот
+   */
+  parseContractInfo(info) {
+    // З X-Gate-Size-Decimal: 1 ліміти можуть бути дробовими
+    const minQty = parseFloat(info.order_size_min || '1');
+    const maxQty = parseFloat(info.order_size_max || '1000000');
+    const orderPriceRound = parseFloat(info.order_price_round || '0.01');
+    const pricePrecision = Math.abs(Math.floor(Math.log10(orderPriceRound)));
+
+    return {
+      symbol: this.unformatSymbol(info.name),
+      contract: info.name,
+      minQty: minQty,
+      maxQty: maxQty,
+      tickSize: minQty,
+      pricePrecision: pricePrecision,
+      status: info.in_delisting ? 'Delisting' : 'Trading',
+      quantoMultiplier: parseFloat(info.quanto_multiplier || '0.0001'),
+      leverageMin: parseFloat(info.leverage_min || '1'),
+      leverageMax: parseFloat(info.leverage_max || '100'),
+      maintenanceRate: parseFloat(info.maintenance_rate || '0') || null
+    };
+  }
+
   async getCurrentPrice(symbol) {
     try {
       const contract = this.formatSymbol(symbol);
@@ -300,27 +574,119 @@ class GateIOService {
     }
   }
 
-  async setLeverage(symbol, leverage) {
+  /**
+   * Поточна ставка та час наступного funding з метаданих контракту
+   */
+  async getFundingInfo(symbol) {
     try {
-      logger.info(`[GATEIO] Setting leverage ${leverage}x for ${symbol}...`);
+      const contract = this.formatSymbol(symbol);
+      const info = await this.publicRequest('GET', `/futures/usdt/contracts/${contract}`);
+
+      return {
+        fundingRate: parseFloat(info.funding_rate || '0'),
+        nextFundingTime: parseFloat(info.funding_next_apply || '0') * 1000,
+        fundingIntervalSec: parseInt(info.funding_interval || '0')
+      };
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting funding info: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Funding платежі з account_book (type=fund), change зі знаком
+   */
+  async getFundingPayments(symbol, fromMs, toMs) {
+    try {
+      const contract = this.formatSymbol(symbol);
+      const entries = await this.privateRequest('GET', '/futures/usdt/account_book', {
+        contract,
+        type: 'fund',
+        from: Math.floor(fromMs / 1000),
+        to: Math.ceil(toMs / 1000),
+        limit: 100
+      });
+
+      return entries
+        // Старі відповіді без поля contract містять його в text
+        .filter(entry => (entry.contract || entry.text || '').startsWith(contract))
+        .map(entry => ({
+          id: entry.id?.toString() || `${entry.time}:${entry.change}`,
+          symbol,
+          time: parseFloat(entry.time) * 1000,
+          amount: parseFloat(entry.change || '0')
+        }));
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting funding payments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Свічки контракту (Gate повертає від старої до нової, час в секундах)
+   */
+  async getCandles(symbol, interval = '5m', limit = 50) {
+    try {
+      const contract = this.formatSymbol(symbol);
+      const candles = await this.publicRequest(
+        'GET',
+        `/futures/usdt/candlesticks?contract=${contract}&interval=${interval}&limit=${limit}`
+      );
+
+      return candles.map(candle => ({
+        time: parseFloat(candle.t) * 1000,
+        open: parseFloat(candle.o),
+        high: parseFloat(candle.h),
+        low: parseFloat(candle.l),
+        close: parseFloat(candle.c),
+        volume: parseFloat(candle.v || '0')
+      }));
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting candles: ${error.message}`);
+      throw error;
+    }
+  }
 
+  /**
+   * Стакан контракту (size в контрактах)
+   */
+  async getOrderBook(symbol, limit = 20) {
+    try {
       const contract = this.formatSymbol(symbol);
-      const queryParams = {
-        leverage: leverage.toString()
+      const book = await this.publicRequest('GET', `/futures/usdt/order_book?contract=${contract}&limit=${limit}`);
+      const parseLevel = level => ({ price: parseFloat(level.p), size: parseFloat(level.s) });
+
+      return {
+        asks: (book.asks || []).map(parseLevel),
+        bids: (book.bids || []).map(parseLevel)
       };
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting order book: ${error.message}`);
+      throw error;
+    }
+  }
 
-      if (config.gateio.positionMode === 'dual_mode') {
-        try {
-          await this.privateRequest('POST', `/futures/usdt/dual_mode/positions/${contract}/leverage`, queryParams);
-        } catch (error) {
-          logger.warn('[GATEIO] Dual mode endpoint failed, trying regular...');
-          await this.privateRequest('POST', `/futures/usdt/positions/${contract}/leverage`, queryParams);
-        }
+  /**
+   * Плече та margin mode: leverage > 0 - isolated,
+   * leverage = 0 - cross з обмеженням cross_leverage_limit
+   */
+  async setLeverage(symbol, leverage, { marginMode = 'isolated', crossLeverageLimit = null } = {}) {
+    try {
+      logger.info(`[GATEIO] Setting ${marginMode} margin, leverage ${crossLeverageLimit || leverage}x for ${symbol}...`);
+
+      const contract = this.formatSymbol(symbol);
+      const queryParams = marginMode === 'cross'
+        ? { leverage: '0', cross_leverage_limit: (crossLeverageLimit || leverage).toString() }
+        : { leverage: leverage.toString() };
+
+      if (this.isDualMode()) {
+        // Hedge mode: плече встановлюється одразу для обох ніг
+        await this.privateRequest('POST', `/futures/usdt/dual_comp/positions/${contract}/leverage`, queryParams);
       } else {
         await this.privateRequest('POST', `/futures/usdt/positions/${contract}/leverage`, queryParams);
       }
 
-      logger.info(`[GATEIO] ✓ Leverage ${leverage}x set`);
+      logger.info(`[GATEIO] ✓ ${marginMode} margin, leverage ${crossLeverageLimit || leverage}x set`);
       return true;
     } catch (error) {
       if (error.response?.data?.label === 'INVALID_PARAM_VALUE') {
@@ -332,13 +698,40 @@ class GateIOService {
     }
   }
 
+  /**
+   * Margin mode та плече з позиції контракту (в dual mode у обох ніг однакові)
+   */
+  async getMarginSettings(symbol) {
+    try {
+      const contract = this.formatSymbol(symbol);
+      const response = this.isDualMode()
+        ? await this.privateRequest('GET', `/futures/usdt/dual_comp/positions/${contract}`)
+        : await this.privateRequest('GET', `/futures/usdt/positions/${contract}`);
+      const position = Array.isArray(response) ? response[0] : response;
+
+      return this.parseMarginSettings(position);
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting margin settings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  parseMarginSettings(position) {
+    const leverage = parseFloat(position?.leverage || '0');
+    const crossLeverageLimit = parseFloat(position?.cross_leverage_limit || '0');
+
+    return leverage === 0
+      ? { marginMode: 'cross', leverage: crossLeverageLimit, crossLeverageLimit }
+      : { marginMode: 'isolated', leverage, crossLeverageLimit: null };
+  }
+
   /**
    * MARKET ORDER - відкриває позицію
    * 
    * КРИТИЧНО: size має бути NUMBER (не string) для дробових значень
    * Приклад: size: 0.215308 (NOT "0.215308")
    */
-  async openMarketOrder(symbol, side, quantity, direction) {
+  async openMarketOrder(symbol, direction, quantity) {
     try {
       logger.info(`[GATEIO] Opening ${direction} market order: ${quantity} contracts of ${symbol}...`);
 
@@ -359,20 +752,25 @@ class GateIOService {
         reduce_only: false
       };
 
-      logger.info(`[GATEIO] Order payload: ${JSON.stringify(order)}`);
-      logger.info(`[GATEIO] Size type: ${typeof size}, value: ${size}`);
+      logger.debug(`[GATEIO] Order payload: ${JSON.stringify(order)}`);
+      logger.debug(`[GATEIO] Size type: ${typeof size}, value: ${size}`);
 
       const response = await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
 
-      logger.info(`[GATEIO] ✓ Market order opened: ID ${response.id}`);
-      logger.info(`[GATEIO] Order details: ${JSON.stringify(response)}`);
+      // IOC market завершується одразу: фактичне виконання з size/left/fill_price
+      const { filledQuantity, avgFillPrice } = this.parseOrderFill(response);
+
+      logger.info(`[GATEIO] ✓ Market order opened: ID ${response.id}, filled ${filledQuantity}/${Math.abs(size)} @ ${avgFillPrice}`);
+      logger.debug(`[GATEIO] Order details: ${JSON.stringify(response)}`);
 
       return {
         orderId: response.id?.toString() || '',
-        orderLinkId: response.text,
+        clientOrderId: response.text,
         symbol: symbol,
-        side: side,
-        quantity: Math.abs(size)
+        direction: direction,
+        quantity: Math.abs(size),
+        filledQuantity,
+        avgFillPrice
       };
     } catch (error) {
       logger.error(`[GATEIO] Error opening market order: ${error.message}`);
@@ -381,31 +779,193 @@ class GateIOService {
     }
   }
 
+  /**
+   * REDUCE-ONLY MARKET ORDER - закриває позицію (відкат невдалого входу).
+   * reduce_only не дає перевернути позицію, якщо її вже частково закрито;
+   * в dual mode закривається вся нога (auto_size)
+   */
+  async closePositionMarket(symbol, direction, quantity) {
+    try {
+      logger.info(`[GATEIO] Closing ${direction} position by market: ${quantity} contracts of ${symbol}...`);
+
+      const contract = this.formatSymbol(symbol);
+
+      const order = {
+        contract: contract,
+        ...this.buildCloseSize(direction, quantity),
+        price: '0',
+        tif: 'ioc',
+        text: `t-close-${Date.now()}`
+      };
+
+      logger.debug(`[GATEIO] Order payload: ${JSON.stringify(order)}`);
+
+      const response = await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
+      const { filledQuantity, avgFillPrice } = this.parseOrderFill(response);
+
+      logger.info(`[GATEIO] ✓ Close order ${response.id}: filled ${filledQuantity}/${Math.abs(quantity)} @ ${avgFillPrice}`);
+
+      return {
+        orderId: response.id?.toString() || '',
+        symbol: symbol,
+        direction: direction,
+        quantity: Math.abs(quantity),
+        filledQuantity,
+        avgFillPrice
+      };
+    } catch (error) {
+      logger.error(`[GATEIO] Error closing position by market: ${error.message}`);
+      logger.error(`[GATEIO] Error details: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * IOC LIMIT ORDER - вхід з обмеженням ціни: виконується тільки те,
+   * що є в стакані до price, залишок скасовується
+   */
+  async openLimitIocOrder(symbol, direction, quantity, price) {
+    try {
+      logger.info(`[GATEIO] Opening ${direction} IOC limit order: ${quantity} contracts of ${symbol} @ ${price}...`);
+
+      const contract = this.formatSymbol(symbol);
+      const size = direction === 'LONG'
+        ? parseFloat(Math.abs(quantity).toFixed(6))
+        : parseFloat(-Math.abs(quantity).toFixed(6));
+
+      const order = {
+        contract: contract,
+        size: size,
+        price: price.toString(),
+        tif: 'ioc',
+        text: `t-entry-${Date.now()}`,
+        reduce_only: false
+      };
+
+      logger.debug(`[GATEIO] Order payload: ${JSON.stringify(order)}`);
+
+      const response = await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
+
+      // IOC завершується одразу: виконано size - left за середньою fill_price
+      const { filledQuantity, avgFillPrice } = this.parseOrderFill(response);
+
+      logger.info(`[GATEIO] ✓ IOC order ${response.id}: filled ${filledQuantity}/${Math.abs(size)} @ ${avgFillPrice}`);
+
+      return {
+        orderId: response.id?.toString() || '',
+        clientOrderId: response.text,
+        symbol: symbol,
+        direction: direction,
+        quantity: Math.abs(size),
+        filledQuantity,
+        avgFillPrice
+      };
+    } catch (error) {
+      logger.error(`[GATEIO] Error opening IOC limit order: ${error.message}`);
+      logger.error(`[GATEIO] Error details: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * POST-ONLY LIMIT ORDER (tif: poc) - вхід тільки як maker (0.02% комісія).
+   * Якщо ордер виконався б одразу, Gate.io відхиляє його з ORDER_POC_IMMEDIATE
+   */
+  async openPostOnlyOrder(symbol, direction, quantity, price) {
+    try {
+      logger.info(`[GATEIO] Placing ${direction} post-only order: ${quantity} contracts of ${symbol} @ ${price}...`);
+
+      const contract = this.formatSymbol(symbol);
+      const size = direction === 'LONG'
+        ? parseFloat(Math.abs(quantity).toFixed(6))
+        : parseFloat(-Math.abs(quantity).toFixed(6));
+
+      const order = {
+        contract: contract,
+        size: size,
+        price: price.toString(),
+        tif: 'poc',
+        text: `t-entry-${Date.now()}`,
+        reduce_only: false
+      };
+
+      logger.debug(`[GATEIO] Order payload: ${JSON.stringify(order)}`);
+
+      const response = await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
+
+      logger.info(`[GATEIO] ✓ Post-only order placed: ID ${response.id}`);
+
+      return {
+        orderId: response.id?.toString() || '',
+        clientOrderId: response.text,
+        symbol: symbol,
+        direction: direction,
+        quantity: Math.abs(size),
+        price: parseFloat(response.price || price),
+        rejected: false
+      };
+    } catch (error) {
+      if (error.response?.data?.label === 'ORDER_POC_IMMEDIATE') {
+        logger.info(`[GATEIO] Post-only order @ ${price} would take liquidity, rejected`);
+        return { orderId: null, clientOrderId: null, symbol, direction, quantity, price, rejected: true };
+      }
+      logger.error(`[GATEIO] Error placing post-only order: ${error.message}`);
+      logger.error(`[GATEIO] Error details: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Фактичне виконання ордера: size - left контрактів за середньою fill_price
+   */
+  parseOrderFill(order) {
+    return {
+      filledQuantity: parseFloat(Math.abs(parseFloat(order.size || '0') - parseFloat(order.left || '0')).toFixed(6)),
+      avgFillPrice: parseFloat(order.fill_price || '0')
+    };
+  }
+
+  /**
+   * Стан звичайного ордера
+   */
+  async getOrder(symbol, orderId) {
+    try {
+      const order = await this.privateRequest('GET', `/futures/usdt/orders/${orderId}`);
+
+      return {
+        orderId: order.id?.toString() || orderId,
+        status: order.status === 'open' ? 'open' : 'finished',
+        quantity: Math.abs(parseFloat(order.size || '0')),
+        ...this.parseOrderFill(order)
+      };
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * TAKE PROFIT - limit ордер з reduce_only=true
    */
-  async setTakeProfitLimit(symbol, side, price, quantity, direction) {
+  async setTakeProfitLimit(symbol, direction, price, quantity, { clientOrderId = null, retry = false } = {}) {
     try {
       logger.info(`[GATEIO] Setting TP limit @ ${price} for ${symbol}...`);
 
       const contract = this.formatSymbol(symbol);
 
-      const closeSize = direction === 'LONG'
-        ? parseFloat(-Math.abs(quantity).toFixed(6))
-        : parseFloat(Math.abs(quantity).toFixed(6));
-
       const order = {
         contract: contract,
-        size: closeSize,  // NUMBER
+        ...this.buildCloseSize(direction, quantity),
         price: price.toString(),
         tif: 'gtc',
-        reduce_only: true,
-        text: `t-tp-${Date.now()}`
+        text: clientOrderId || `t-tp-${Date.now()}`
       };
 
-      logger.info(`[GATEIO] TP order payload: ${JSON.stringify(order)}`);
+      logger.debug(`[GATEIO] TP order payload: ${JSON.stringify(order)}`);
 
-      const response = await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
+      // Повторна спроба: попередня могла бути прийнята біржею попри помилку
+      const existing = retry ? await this.findOrderByText('/futures/usdt/orders', order) : null;
+      const response = existing || await this.privateRequest('POST', '/futures/usdt/orders', {}, order);
 
       logger.info(`[GATEIO] ✓ TP limit set: ID ${response.id}`);
 
@@ -423,24 +983,19 @@ class GateIOService {
   /**
    * STOP LOSS - price-triggered order
    */
-  async setStopLossLimit(symbol, side, price, quantity, direction) {
+  async setStopLossLimit(symbol, direction, price, quantity, { clientOrderId = null, retry = false } = {}) {
     try {
       logger.info(`[GATEIO] Setting SL price-triggered @ ${price} for ${symbol}...`);
 
       const contract = this.formatSymbol(symbol);
 
-      const closeSize = direction === 'LONG'
-        ? parseFloat(-Math.abs(quantity).toFixed(6))
-        : parseFloat(Math.abs(quantity).toFixed(6));
-
       const priceOrder = {
         initial: {
           contract: contract,
-          size: closeSize,  // NUMBER
+          ...this.buildCloseSize(direction, quantity),
           price: price.toString(),
           tif: 'gtc',
-          reduce_only: true,
-          text: `t-sl-${Date.now()}`
+          text: clientOrderId || `t-sl-${Date.now()}`
         },
         trigger: {
           strategy_type: 0,
@@ -450,9 +1005,15 @@ class GateIOService {
         }
       };
 
-      logger.info(`[GATEIO] SL order payload: ${JSON.stringify(priceOrder)}`);
+      // В dual mode тип price-ордера вказує, яку ногу закриває
+      if (this.isDualMode()) {
+        priceOrder.order_type = direction === 'LONG' ? 'close-long-position' : 'close-short-position';
+      }
+
+      logger.debug(`[GATEIO] SL order payload: ${JSON.stringify(priceOrder)}`);
 
-      const response = await this.privateRequest('POST', '/futures/usdt/price_orders', {}, priceOrder);
+      const existing = retry ? await this.findOrderByText('/futures/usdt/price_orders', priceOrder) : null;
+      const response = existing || await this.privateRequest('POST', '/futures/usdt/price_orders', {}, priceOrder);
 
       logger.info(`[GATEIO] ✓ SL triggered set: ID ${response.id}`);
 
@@ -467,10 +1028,109 @@ class GateIOService {
     }
   }
 
+  /**
+   * Скасовує звичайний ордер (наприклад TP limit).
+   * Якщо ордер вже виконаний або скасований - повертає alreadyClosed: true
+   */
+  async cancelOrder(symbol, orderId) {
+    try {
+      logger.info(`[GATEIO] Cancelling order ${orderId} for ${symbol}...`);
+
+      await this.privateRequest('DELETE', `/futures/usdt/orders/${orderId}`, {}, null, { expectedLabels: ORDER_GONE_LABELS });
+
+      logger.info(`[GATEIO] ✓ Order ${orderId} cancelled`);
+      return { orderId, cancelled: true, alreadyClosed: false };
+    } catch (error) {
+      if (this.isOrderGoneError(error)) {
+        logger.info(`[GATEIO] Order ${orderId} already finished`);
+        return { orderId, cancelled: false, alreadyClosed: true };
+      }
+      logger.error(`[GATEIO] Error cancelling order ${orderId}: ${error.message}`);
+      logger.error(`[GATEIO] Error details: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Скасовує price-triggered ордер (SL)
+   */
+  async cancelStopOrder(symbol, orderId) {
+    try {
+      logger.info(`[GATEIO] Cancelling price order ${orderId} for ${symbol}...`);
+
+      await this.privateRequest('DELETE', `/futures/usdt/price_orders/${orderId}`, {}, null, { expectedLabels: ORDER_GONE_LABELS });
+
+      logger.info(`[GATEIO] ✓ Price order ${orderId} cancelled`);
+      return { orderId, cancelled: true, alreadyClosed: false };
+    } catch (error) {
+      if (this.isOrderGoneError(error)) {
+        logger.info(`[GATEIO] Price order ${orderId} already finished`);
+        return { orderId, cancelled: false, alreadyClosed: true };
+      }
+      logger.error(`[GATEIO] Error cancelling price order ${orderId}: ${error.message}`);
+      logger.error(`[GATEIO] Error details: ${JSON.stringify(error.response?.data)}`);
+      throw error;
+    }
+  }
+
+  isDualMode() {
+    return config.exchange.positionMode === 'dual_mode';
+  }
+
+  /**
+   * Розмір закриваючого reduce-only ордера: в single mode - quantity з протилежним знаком,
+   * в dual mode - size 0 з auto_size (біржа закриває всю ногу direction)
+   */
+  buildCloseSize(direction, quantity) {
+    if (this.isDualMode()) {
+      return { size: 0, auto_size: direction === 'LONG' ? 'close_long' : 'close_short', reduce_only: true };
+    }
+
+    const size = direction === 'LONG'
+      ? parseFloat(-Math.abs(quantity).toFixed(6))
+      : parseFloat(Math.abs(quantity).toFixed(6));
+    return { size, reduce_only: true };  // size - NUMBER
+  }
+
+  /**
+   * Нога позиції: в dual mode з mode (dual_long / dual_short), в single - зі знаку size
+   */
+  parsePositionDirection(mode, size) {
+    if (mode === 'dual_long') return 'LONG';
+    if (mode === 'dual_short') return 'SHORT';
+    return size > 0 ? 'LONG' : 'SHORT';
+  }
+
+  /**
+   * Нога, яку закриває reduce-only ордер: з auto_size (dual mode, size 0) або з протилежного знаку size
+   */
+  parseCloseDirection(reduceOnly, size, autoSize) {
+    if (!reduceOnly) return null;
+    if (autoSize === 'close_long') return 'LONG';
+    if (autoSize === 'close_short') return 'SHORT';
+    return parseFloat(size || '0') < 0 ? 'LONG' : 'SHORT';
+  }
+
+  /**
+   * Ордер вже виконаний/скасований - для OCO це нормальна ситуація
+   */
+  isOrderGoneError(error) {
+    return ORDER_GONE_LABELS.includes(error.response?.data?.label);
+  }
+
+  /**
+   * Відкриті позиції. В dual mode по символу повертаються обидві ноги (dual_long / dual_short)
+   */
   async getOpenPositions(symbol = null) {
     try {
-      const queryParams = symbol ? { contract: this.formatSymbol(symbol) } : {};
-      const positions = await this.privateRequest('GET', '/futures/usdt/positions', queryParams);
+      let positions;
+
+      if (symbol && this.isDualMode()) {
+        positions = await this.privateRequest('GET', `/futures/usdt/dual_comp/positions/${this.formatSymbol(symbol)}`);
+      } else {
+        const queryParams = symbol ? { contract: this.formatSymbol(symbol) } : {};
+        positions = await this.privateRequest('GET', '/futures/usdt/positions', queryParams);
+      }
 
       return positions
         .filter(pos => parseFloat(pos.size || '0') !== 0)
@@ -479,12 +1139,13 @@ class GateIOService {
           return {
             symbol: this.unformatSymbol(pos.contract),
             contract: pos.contract,
-            side: size > 0 ? 'Buy' : 'Sell',
+            direction: this.parsePositionDirection(pos.mode, size),
             size: Math.abs(size),
             entryPrice: parseFloat(pos.entry_price || '0'),
             markPrice: parseFloat(pos.mark_price || '0'),
             unrealisedPnl: parseFloat(pos.unrealised_pnl || '0'),
-            leverage: parseFloat(pos.leverage || '1'),
+            ...this.parseMarginSettings(pos),
+            margin: parseFloat(pos.margin || '0'),
             mode: pos.mode || 'single'
           };
         });
@@ -494,9 +1155,68 @@ class GateIOService {
     }
   }
 
-  async hasOpenPosition(symbol) {
-    const positions = await this.getOpenPositions(symbol);
-    return positions.length > 0;
+  /**
+   * Відкриті звичайні ордери (TP limit ордери мають reduce_only)
+   */
+  async getOpenOrders(symbol = null) {
+    try {
+      const queryParams = { status: 'open' };
+      if (symbol) {
+        queryParams.contract = this.formatSymbol(symbol);
+      }
+
+      const orders = await this.privateRequest('GET', '/futures/usdt/orders', queryParams);
+
+      return orders.map(order => ({
+        orderId: order.id?.toString() || '',
+        symbol: this.unformatSymbol(order.contract),
+        contract: order.contract,
+        size: parseFloat(order.size || '0'),
+        left: parseFloat(order.left || '0'),
+        price: parseFloat(order.price || '0'),
+        reduceOnly: Boolean(order.is_reduce_only),
+        closeDirection: this.parseCloseDirection(order.is_reduce_only, order.size, order.auto_size),
+        tif: order.tif,
+        text: order.text
+      }));
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting open orders: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Відкриті price-triggered ордери (SL)
+   */
+  async getOpenStopOrders(symbol = null) {
+    try {
+      const queryParams = { status: 'open' };
+      if (symbol) {
+        queryParams.contract = this.formatSymbol(symbol);
+      }
+
+      const orders = await this.privateRequest('GET', '/futures/usdt/price_orders', queryParams);
+
+      return orders.map(order => {
+        const initial = order.initial || {};
+        const trigger = order.trigger || {};
+        return {
+          orderId: order.id?.toString() || '',
+          symbol: this.unformatSymbol(initial.contract),
+          contract: initial.contract,
+          size: parseFloat(initial.size || '0'),
+          price: parseFloat(initial.price || '0'),
+          triggerPrice: parseFloat(trigger.price || '0'),
+          rule: trigger.rule,
+          reduceOnly: Boolean(initial.is_reduce_only ?? initial.reduce_only),
+          closeDirection: this.parseCloseDirection(initial.is_reduce_only ?? initial.reduce_only, initial.size, initial.auto_size),
+          text: initial.text
+        };
+      });
+    } catch (error) {
+      logger.error(`[GATEIO] Error getting price orders: ${error.message}`);
+      throw error;
+    }
   }
 
   async getTradeHistory(symbol = null, limit = 50) {
@@ -514,8 +1234,10 @@ class GateIOService {
         symbol: this.unformatSymbol(trade.contract),
         createTime: trade.create_time,
         orderId: trade.order_id,
+        side: parseFloat(trade.size || '0') > 0 ? 'buy' : 'sell',
         size: Math.abs(parseFloat(trade.size || '0')),
         price: parseFloat(trade.price || '0'),
+        fee: parseFloat(trade.fee || '0'),
         role: trade.role,
         text: trade.text
       }));
@@ -524,7 +1246,16 @@ class GateIOService {
       throw error;
     }
   }
+
+  /**
+   * WebSocket з ключами цього акаунта
+   */
+  createStream() {
+    return new GateIOWebSocketService({ apiKey: this.apiKey, apiSecret: this.apiSecret });
+  }
 }
 
+// Singleton з ключами першого акаунта - публічні дані та скрипти
 const gateioService = new GateIOService();
+export { GateIOService };
 export default gateioService;
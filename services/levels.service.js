@@ -0,0 +1,152 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+const LEVEL_MEASURE_LABELS = {
+  atr: 'ATR',
+  volatility: 'Volatility'
+};
+
+/**
+ * Average True Range (згладжування Вайлдера) в одиницях ціни
+ * @param {Array} candles - від старої до нової: { high, low, close }
+ * @returns {number|null} null - замало свічок
+ */
+export function calculateATR(candles, period) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  let atr = trueRanges.slice(0, period).reduce((sum, tr) => sum + tr, 0) / period;
+  for (let i = period; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+
+  return atr;
+}
+
+/**
+ * Реалізована волатильність: std відхилення log-доходностей close-to-close
+ * за останні period свічок (частка за одну свічку)
+ * @returns {number|null} null - замало свічок
+ */
+export function calculateVolatility(candles, period) {
+  if (candles.length < period + 1) {
+    return null;
+  }
+
+  const closes = candles.slice(-(period + 1)).map(candle => candle.close);
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Показник волатильності символу у % від ціни (за замовчуванням згідно LEVELS_MODE)
+ *
+ * @param {string} mode - 'atr' | 'volatility'
+ * @returns {Object} { measure: 'atr' | 'volatility', valuePercent, interval, period }
+ */
+export async function getVolatilityReading(exchange, symbol, referencePrice, mode = config.levels.mode) {
+  const { candleInterval, period } = config.levels;
+
+  // ATR потребує розгону згладжування - беремо запас свічок
+  const candles = await exchange.getCandles(symbol, candleInterval, period * 3 + 1);
+
+  const value = mode === 'atr'
+    ? calculateATR(candles, period)
+    : calculateVolatility(candles, period);
+
+  if (value === null) {
+    throw new Error(`Not enough ${candleInterval} candles for ${symbol} (${candles.length}, period ${period})`);
+  }
+
+  if (!(value > 0)) {
+    throw new Error(`Zero ${mode} on ${candleInterval} candles for ${symbol}`);
+  }
+
+  // ATR - в одиницях ціни, volatility - вже частка
+  const valuePercent = mode === 'atr' ? (value / referencePrice) * 100 : value * 100;
+
+  return { measure: mode, valuePercent, interval: candleInterval, period };
+}
+
+/**
+ * TP/SL відсотки для входу: фіксовані з налаштувань ризику або
+ * множники показника волатильності в межах LEVELS_*_MIN/MAX_PERCENT.
+ * Якщо свічки недоступні - фіксовані відсотки (вхід не блокується)
+ *
+ * @returns {Object} { takeProfitPercent, stopLossPercent, source: 'fixed' | 'atr' | 'volatility', reading, clamped }
+ */
+export async function resolveExitLevels(exchange, symbol, referencePrice, riskSettings = {}) {
+  const risk = { ...config.risk, ...riskSettings };
+  const fixed = {
+    takeProfitPercent: risk.takeProfitPercent,
+    stopLossPercent: risk.stopLossPercent,
+    source: 'fixed',
+    reading: null,
+    clamped: false
+  };
+
+  if (config.levels.mode === 'fixed') {
+    return fixed;
+  }
+
+  let reading;
+  try {
+    reading = await getVolatilityReading(exchange, symbol, referencePrice);
+  } catch (error) {
+    logger.warn(`[LEVELS] ${symbol}: ${error.message}, using fixed TP ${fixed.takeProfitPercent}% / SL ${fixed.stopLossPercent}%`);
+    return fixed;
+  }
+
+  const {
+    takeProfitMultiple, stopLossMultiple,
+    takeProfitMinPercent, takeProfitMaxPercent,
+    stopLossMinPercent, stopLossMaxPercent
+  } = config.levels;
+
+  const rawTakeProfit = reading.valuePercent * takeProfitMultiple;
+  const rawStopLoss = reading.valuePercent * stopLossMultiple;
+  const takeProfitPercent = parseFloat(clamp(rawTakeProfit, takeProfitMinPercent, takeProfitMaxPercent).toFixed(4));
+  const stopLossPercent = parseFloat(clamp(rawStopLoss, stopLossMinPercent, stopLossMaxPercent).toFixed(4));
+  const clamped = takeProfitPercent !== parseFloat(rawTakeProfit.toFixed(4)) || stopLossPercent !== parseFloat(rawStopLoss.toFixed(4));
+
+  logger.info(
+    `[LEVELS] ${symbol}: ${formatReading(reading)} → ` +
+    `TP ${takeProfitMultiple}× = ${takeProfitPercent}%, SL ${stopLossMultiple}× = ${stopLossPercent}%` +
+    `${clamped ? ` (clamped from TP ${rawTakeProfit.toFixed(4)}% / SL ${rawStopLoss.toFixed(4)}%)` : ''}`
+  );
+
+  return { takeProfitPercent, stopLossPercent, source: reading.measure, reading, clamped };
+}
+
+/**
+ * Показник для логів та повідомлень: "ATR(14, 5m) 0.4200%"
+ */
+export function formatReading(reading) {
+  return `${LEVEL_MEASURE_LABELS[reading.measure]}(${reading.period}, ${reading.interval}) ${reading.valuePercent.toFixed(4)}%`;
+}
+
+export default {
+  calculateATR,
+  calculateVolatility,
+  getVolatilityReading,
+  resolveExitLevels,
+  formatReading
+};
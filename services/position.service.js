@@ -1,14 +1,58 @@
-import gateioService from './gateio.service.js';
 import telegramService from './telegram.service.js';
+import { getVolatilityReading } from './levels.service.js';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
-import { calculatePnL, calculatePnLPercent, formatDuration } from '../utils/helpers.js';
+import {
+  createCorrelationId,
+  runWithLogContext,
+  getCorrelationId
+} from '../utils/correlation.js';
+import { calculatePnL, calculatePnLPercent, formatDuration, contractsToCoins, roundPrice } from '../utils/helpers.js';
 
+// Угод з історії достатньо, щоб покрити вхід і закриття позиції
+const TRADE_HISTORY_LIMIT = 100;
+// Пауза перед повтором невдалої операції з SL (break-even, скасування старих SL)
+const STOP_RETRY_MS = 10000;
+
+/**
+ * Ключ відкритої позиції: в hedge mode (dual_mode) по символу можуть бути LONG і SHORT одночасно
+ */
+export function positionKey(symbol, direction) {
+  return `${symbol}:${direction}`;
+}
+
+/**
+ * Ордер існує на біржі (не DRY RUN заглушка і не відсутній)
+ */
+function isRealOrderId(orderId) {
+  return Boolean(orderId) && !orderId.toString().startsWith('DRY_RUN');
+}
+
+/**
+ * Угода ордера входу бота (text t-entry-*)
+ */
+function isEntryTrade(trade) {
+  return Boolean(trade.text?.startsWith('t-entry-'));
+}
+
+/**
+ * Відстеження позицій одного торгового акаунта
+ * (адаптер біржі, real-time потік, кеш контрактів та Telegram сповіщення беруться з акаунта)
+ */
 class PositionService {
-  constructor() {
-    this.openPositions = new Map(); // symbol -> position data
+  constructor(account) {
+    this.account = account;
+    this.exchange = account.exchange;
+    this.contracts = account.contracts;
+    this.ws = account.ws;
+    this.openPositions = new Map(); // symbol:direction -> position data
     this.closedPositions = [];
     this.monitoringInterval = null;
+    this.closingKeys = new Set(); // захист від подвійної обробки (WS + REST)
+    this.lastFills = new Map(); // symbol:direction -> остання закриваюча угода з futures.usertrades
+    this.recordedFundingIds = new Set(); // funding платежі, вже зараховані закритим позиціям
+    this.stopUpdateKeys = new Set(); // позиції, SL яких зараз переставляється
+    this.wsHandlersBound = false;
   }
 
   /**
@@ -16,18 +60,43 @@ class PositionService {
    */
   addOpenPosition(positionData) {
     const { symbol, direction, entryPrice, quantity, takeProfit, stopLoss, orderId, timestamp } = positionData;
+    const quantoMultiplier = positionData.quantoMultiplier || 1;
+
+    // Друга нога hedge mode: funding символу спільний, сума на ногу стає приблизною
+    const oppositeLeg = this.openPositions.get(positionKey(symbol, direction === 'LONG' ? 'SHORT' : 'LONG'));
+    if (oppositeLeg) {
+      oppositeLeg.hedged = true;
+    }
     
-    this.openPositions.set(symbol, {
+    this.openPositions.set(positionKey(symbol, direction), {
       symbol,
       direction,
       entryPrice,
-      quantity,
+      quantity, // контракти
+      quantoMultiplier,
+      coinQuantity: positionData.coinQuantity ?? contractsToCoins(quantity, quantoMultiplier),
       takeProfit,
-      stopLoss,
+      stopLoss, // поточний рівень SL (рухається trailing stop'ом)
+      initialStopLoss: stopLoss,
+      trailingActive: false,
+      trailDistancePercent: null,
+      stopMoves: 0,
+      lastStopMoveAt: 0,
+      breakEvenAt: null, // час переносу SL на break-even
+      breakEvenAttemptAt: 0,
+      entryFee: null, // фактична комісія входу (USDT), завантажується для break-even
       orderId,
+      entryOrderIds: positionData.entryOrderIds || (orderId ? [orderId] : []), // для комісій входу
       timestamp: timestamp || Date.now(),
       tpOrderId: positionData.tpOrderId,
-      slOrderId: positionData.slOrderId
+      slOrderId: positionData.slOrderId,
+      // Старі SL, які не вдалося скасувати при переставлянні - скасовуються повторно та при закритті
+      staleSlOrderIds: [],
+      staleCancelAttemptAt: 0,
+      adopted: positionData.adopted || false,
+      hedged: Boolean(oppositeLeg), // була відкрита разом з протилежною ногою
+      // correlation id сигналу - щоб закриття логувалось разом з відкриттям
+      correlationId: positionData.correlationId || getCorrelationId()
     });
 
     logger.info(`[POSITION] Added position to monitoring: ${symbol} ${direction}`);
@@ -36,11 +105,12 @@ class PositionService {
   /**
    * Видаляє позицію з моніторингу (коли закрита)
    */
-  removeOpenPosition(symbol) {
-    const position = this.openPositions.get(symbol);
+  removeOpenPosition(symbol, direction) {
+    const key = positionKey(symbol, direction);
+    const position = this.openPositions.get(key);
     if (position) {
-      this.openPositions.delete(symbol);
-      logger.info(`[POSITION] Removed position from monitoring: ${symbol}`);
+      this.openPositions.delete(key);
+      logger.info(`[POSITION] Removed position from monitoring: ${symbol} ${direction}`);
       return position;
     }
     return null;
@@ -59,17 +129,20 @@ class PositionService {
   }
 
   /**
-   * Перевіряє чи є відкрита позиція по символу
+   * Перевіряє чи є відкрита позиція по символу (будь-яка нога, якщо direction не задано)
    */
-  hasOpenPosition(symbol) {
-    return this.openPositions.has(symbol);
+  hasOpenPosition(symbol, direction = null) {
+    return Boolean(this.getOpenPosition(symbol, direction));
   }
 
   /**
-   * Отримує відкриту позицію
+   * Отримує відкриту позицію. Без direction - першу знайдену ногу символу
    */
-  getOpenPosition(symbol) {
-    return this.openPositions.get(symbol);
+  getOpenPosition(symbol, direction = null) {
+    if (direction) {
+      return this.openPositions.get(positionKey(symbol, direction));
+    }
+    return this.getAllOpenPositions().find(position => position.symbol === symbol);
   }
 
   /**
@@ -86,6 +159,83 @@ class PositionService {
     return this.openPositions.size;
   }
 
+  /**
+   * Відновлює відстеження позицій, відкритих до рестарту бота.
+   * Зіставляє позиції з біржі з reduce-only TP ордерами та SL умовними ордерами
+   * по символу та нозі, яку закриває ордер (closeDirection).
+   */
+  async reconcileWithExchange() {
+    const [exchangePositions, openOrders, priceOrders] = await Promise.all([
+      this.exchange.getOpenPositions(),
+      this.exchange.getOpenOrders(),
+      this.exchange.getOpenStopOrders()
+    ]);
+
+    const adopted = [];
+    const unprotected = [];
+
+    for (const exchangePosition of exchangePositions) {
+      const { symbol, direction } = exchangePosition;
+
+      if (this.openPositions.has(positionKey(symbol, direction))) {
+        continue;
+      }
+
+      const isClosingOrder = order =>
+        order.symbol === symbol && order.reduceOnly && order.closeDirection === direction;
+
+      const tpOrder = openOrders.find(isClosingOrder);
+      const slOrder = priceOrders.find(isClosingOrder);
+      const symbolInfo = await this.contracts.getSymbolInfo(symbol);
+
+      this.addOpenPosition({
+        symbol,
+        direction,
+        entryPrice: exchangePosition.entryPrice,
+        quantity: exchangePosition.size,
+        quantoMultiplier: symbolInfo.quantoMultiplier,
+        takeProfit: tpOrder ? tpOrder.price : null,
+        stopLoss: slOrder ? slOrder.triggerPrice : null,
+        orderId: null,
+        timestamp: Date.now(),
+        tpOrderId: tpOrder ? tpOrder.orderId : null,
+        slOrderId: slOrder ? slOrder.orderId : null,
+        adopted: true,
+        correlationId: createCorrelationId('adopt')
+      });
+
+      const position = this.openPositions.get(positionKey(symbol, direction));
+      adopted.push(position);
+
+      if (!tpOrder || !slOrder) {
+        unprotected.push({
+          symbol,
+          direction,
+          missingTakeProfit: !tpOrder,
+          missingStopLoss: !slOrder
+        });
+        logger.warn(
+          `[POSITION] Adopted ${symbol} ${direction} without ` +
+          `${[!tpOrder && 'TP', !slOrder && 'SL'].filter(Boolean).join('/')}`
+        );
+      }
+    }
+
+    // Reduce-only ордери без відповідної позиції (ноги) на біржі
+    const positionKeys = new Set(exchangePositions.map(pos => positionKey(pos.symbol, pos.direction)));
+    const orphanOrders = [
+      ...openOrders.filter(o => o.reduceOnly).map(o => ({ ...o, type: 'TP' })),
+      ...priceOrders.filter(o => o.reduceOnly).map(o => ({ ...o, type: 'SL' }))
+    ].filter(order => !positionKeys.has(positionKey(order.symbol, order.closeDirection)));
+
+    logger.info(
+      `[POSITION] Reconciliation done: ${adopted.length} adopted, ` +
+      `${unprotected.length} unprotected, ${orphanOrders.length} orphan orders`
+    );
+
+    return { adopted, unprotected, orphanOrders };
+  }
+
   /**
    * Запускає моніторинг позицій
    */
@@ -96,12 +246,70 @@ class PositionService {
     }
 
     logger.info('[POSITION] Starting position monitoring...');
+
+    this.bindWebSocketEvents();
     
-    this.monitoringInterval = setInterval(async () => {
-      await this.checkPositions();
+    // REST polling - резерв на випадок, коли WebSocket недоступний
+    this.monitoringInterval = setInterval(() => {
+      this.withAccountContext(() => this.checkPositions());
     }, intervalMs);
   }
 
+  /**
+   * Підписується на події WebSocket: закриття позицій обробляються одразу
+   */
+  bindWebSocketEvents() {
+    // Біржа без real-time потоку - тільки REST polling
+    if (this.wsHandlersBound || !this.ws) return;
+    this.wsHandlersBound = true;
+
+    // Mark price з тікера - для trailing stop
+    this.ws.on('ticker', (ticker) => this.withAccountContext(async () => {
+      for (const trackedPosition of this.getAllOpenPositions()) {
+        if (trackedPosition.symbol === ticker.symbol) {
+          await this.handleMarkPrice(trackedPosition, ticker.markPrice);
+        }
+      }
+    }));
+
+    this.ws.on('usertrade', (trade) => {
+      // Входи бота ногу не закривають: в hedge mode продаж може відкривати SHORT
+      if (isEntryTrade(trade)) return;
+      // Продаж закриває LONG, купівля - SHORT
+      this.lastFills.set(positionKey(trade.symbol, trade.size < 0 ? 'LONG' : 'SHORT'), trade);
+    });
+
+    this.ws.on('position', (position) => this.withAccountContext(async () => {
+      if (position.size !== 0) return;
+
+      // В single mode закрита позиція приходить без сторони - по символу відстежується одна нога
+      const trackedPosition = this.getOpenPosition(position.symbol, position.direction);
+      if (!trackedPosition) return;
+
+      const lastFill = this.lastFills.get(positionKey(position.symbol, trackedPosition.direction));
+      const exitPrice = lastFill && lastFill.createTime * 1000 >= trackedPosition.timestamp
+        ? lastFill.price
+        : null;
+
+      logger.info(`[POSITION] WS: position ${position.symbol} ${trackedPosition.direction} closed`);
+      await this.handlePositionClosed(trackedPosition, exitPrice);
+    }));
+
+    // Після перепідключення звіряємося через REST - могли пропустити події
+    this.ws.on('open', () => this.withAccountContext(() => this.checkPositions({ force: true })));
+
+    this.ws.on('close', () => this.withAccountContext(() => {
+      logger.warn('[POSITION] WebSocket down, falling back to REST polling');
+    }));
+  }
+
+  /**
+   * Виконує fn з id акаунта в контексті логування
+   */
+  withAccountContext(fn) {
+    return runWithLogContext({ accountId: this.account.id }, fn);
+  }
+
   /**
    * Зупиняє моніторинг позицій
    */
@@ -116,27 +324,34 @@ class PositionService {
   /**
    * Перевіряє статус всіх відкритих позицій
    */
-  async checkPositions() {
+  async checkPositions({ force = false } = {}) {
     try {
       if (this.openPositions.size === 0) {
         return;
       }
+
+      // Поки WebSocket живий, закриття приходять подіями
+      if (!force && this.ws?.isHealthy()) {
+        return;
+      }
   
-      // Перевіряємо КОЖЕН символ окремо
-      for (const [symbol, trackedPosition] of this.openPositions.entries()) {
+      // Перевіряємо КОЖНУ позицію окремо, зіставляючи ногу по стороні
+      for (const trackedPosition of this.getAllOpenPositions()) {
+        const { symbol, direction } = trackedPosition;
+
         try {
-          const exchangePositions = await gateioService.getOpenPositions(symbol);
-          const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol);
+          const exchangePositions = await this.exchange.getOpenPositions(symbol);
+          const exchangePosition = exchangePositions.find(pos => pos.symbol === symbol && pos.direction === direction);
           
           if (!exchangePosition || parseFloat(exchangePosition.size) === 0) {
             // Позиція закрита на біржі
-            await this.handlePositionClosed(symbol, trackedPosition);
+            await this.handlePositionClosed(trackedPosition);
           } else {
             // Позиція все ще відкрита, оновлюємо дані
-            await this.updatePositionData(symbol, exchangePosition);
+            await this.updatePositionData(trackedPosition, exchangePosition);
           }
         } catch (error) {
-          logger.error(`[POSITION] Error checking position ${symbol}: ${error.message}`);
+          logger.error(`[POSITION] Error checking position ${symbol} ${direction}: ${error.message}`);
           // Продовжуємо перевірку інших позицій
           continue;
         }
@@ -149,27 +364,50 @@ class PositionService {
   /**
    * Обробляє закриття позиції
    */
-  async handlePositionClosed(symbol, trackedPosition) {
+  async handlePositionClosed(trackedPosition, exitPriceHint = null) {
+    // Логи закриття йдуть під correlation id сигналу, що відкрив позицію
+    if (trackedPosition.correlationId && getCorrelationId() !== trackedPosition.correlationId) {
+      return runWithLogContext(
+        { correlationId: trackedPosition.correlationId, accountId: this.account.id },
+        () => this.handlePositionClosed(trackedPosition, exitPriceHint)
+      );
+    }
+
+    const { symbol, direction } = trackedPosition;
+    const key = positionKey(symbol, direction);
+
+    if (this.closingKeys.has(key) || this.openPositions.get(key) !== trackedPosition) {
+      return;
+    }
+    this.closingKeys.add(key);
+
     try {
-      // Отримуємо останню угоду для визначення ціни закриття
-      const trades = await gateioService.getTradeHistory(symbol, 10);
-      
-      // Знаходимо угоду що закрила позицію
-      const closeTrade = trades.find(t => {
-        const tradeSymbol = t.symbol || gateioService.unformatSymbol(t.contract);
-        return tradeSymbol === symbol;
-      });
+      let exitPrice = exitPriceHint;
+      let trades = null;
+
+      if (!exitPrice) {
+        // Отримуємо останню угоду для визначення ціни закриття
+        trades = await this.exchange.getTradeHistory(symbol, TRADE_HISTORY_LIMIT);
+        
+        // Знаходимо угоду що закрила саме цю ногу
+        const closeTrade = trades.find(t => this.isExitTrade(t, trackedPosition));
+
+        exitPrice = closeTrade ? parseFloat(closeTrade.price) : trackedPosition.entryPrice;
+      }
 
-      const exitPrice = closeTrade ? parseFloat(closeTrade.price) : trackedPosition.entryPrice;
       const duration = Math.floor((Date.now() - trackedPosition.timestamp) / 1000);
       
-      // Розраховуємо P&L
-      const pnl = calculatePnL(
+      // Розраховуємо P&L: gross - ціновий, net - мінус фактичні комісії, плюс funding
+      const pricePnl = calculatePnL(
         trackedPosition.entryPrice,
         exitPrice,
-        trackedPosition.quantity,
+        trackedPosition.coinQuantity,
         trackedPosition.direction
       );
+      const { entryFee, exitFee } = await this.collectTradeFees(trackedPosition, trades);
+      const funding = await this.collectFundingPayments(trackedPosition);
+      const fees = entryFee + exitFee;
+      const pnl = pricePnl - fees + funding;
       
       const pnlPercent = calculatePnLPercent(
         trackedPosition.entryPrice,
@@ -180,7 +418,12 @@ class PositionService {
       const closedPositionData = {
         ...trackedPosition,
         exitPrice,
-        pnl,
+        pnl, // net
+        pricePnl, // gross
+        entryFee,
+        exitFee,
+        fees,
+        funding,
         pnlPercent,
         duration: formatDuration(duration)
       };
@@ -189,33 +432,431 @@ class PositionService {
       this.addClosedPosition(closedPositionData);
       
       // Видаляємо з відкритих
-      this.removeOpenPosition(symbol);
+      this.removeOpenPosition(symbol, direction);
+
+      // OCO: скасовуємо TP/SL ордер, що залишився після закриття
+      await this.cancelSiblingOrders(trackedPosition);
 
       // Відправляємо повідомлення в Telegram
-      if (!config.trading.dryRun) {
-        await telegramService.sendMessage(
-          config.telegram.channelId,
-          telegramService.formatPositionClosedMessage(closedPositionData)
+      await this.account.notify(telegramService.formatPositionClosedMessage(closedPositionData));
+
+      logger.info(
+        `[POSITION] Position closed: ${symbol} ${direction}, net P&L: ${pnl.toFixed(2)} USDT ` +
+        `(gross ${pricePnl.toFixed(2)}, fees ${fees.toFixed(4)}, funding ${funding.toFixed(4)})`
+      );
+    } catch (error) {
+      logger.error(`[POSITION] Error handling closed position: ${error.message}`);
+    } finally {
+      this.closingKeys.delete(key);
+    }
+  }
+
+  /**
+   * Угода закриття ноги: у бік закриття, після відкриття позиції,
+   * крім входів бота (t-entry-*): в hedge mode це вхід другої ноги
+   */
+  isExitTrade(trade, trackedPosition) {
+    const exitSide = trackedPosition.direction === 'LONG' ? 'sell' : 'buy';
+    return trade.symbol === trackedPosition.symbol &&
+      trade.side === exitSide &&
+      trade.createTime >= trackedPosition.timestamp / 1000 &&
+      !isEntryTrade(trade);
+  }
+
+  /**
+   * Фактичні комісії позиції з історії угод (USDT, maker rebate - від'ємний).
+   * Вхід - угоди ордерів входу; закриття - угоди закриття ноги (isExitTrade).
+   * Помилка історії не блокує закриття - комісії = 0
+   */
+  async collectTradeFees(trackedPosition, trades = null) {
+    const { symbol } = trackedPosition;
+    const fees = { entryFee: 0, exitFee: 0 };
+
+    try {
+      const history = trades || await this.exchange.getTradeHistory(symbol, TRADE_HISTORY_LIMIT);
+      const entryOrderIds = new Set(trackedPosition.entryOrderIds.map(String));
+
+      for (const trade of history) {
+        if (trade.symbol !== symbol) {
+          continue;
+        }
+
+        if (entryOrderIds.has(String(trade.orderId))) {
+          fees.entryFee += trade.fee || 0;
+        } else if (this.isExitTrade(trade, trackedPosition)) {
+          fees.exitFee += trade.fee || 0;
+        }
+      }
+    } catch (error) {
+      logger.warn(`[POSITION] ${symbol}: could not load trade fees: ${error.message}`);
+    }
+
+    return fees;
+  }
+
+  /**
+   * Сума funding платежів символу з моменту відкриття позиції (USDT, + отримано / - сплачено).
+   * Журнал акаунта ведеться по символу, тому в hedge mode платіж зараховується
+   * першій закритій нозі, а сума позначається як приблизна (hedged).
+   * Помилка журналу не блокує закриття - funding = 0
+   */
+  async collectFundingPayments(trackedPosition) {
+    const { symbol, timestamp } = trackedPosition;
+
+    try {
+      const payments = await this.exchange.getFundingPayments(symbol, timestamp, Date.now());
+      let total = 0;
+
+      for (const payment of payments) {
+        if (this.recordedFundingIds.has(payment.id)) {
+          continue;
+        }
+        this.recordedFundingIds.add(payment.id);
+        total += payment.amount;
+      }
+
+      if (total !== 0) {
+        logger.info(
+          `[POSITION] ${symbol}: funding during position ${total.toFixed(4)} USDT` +
+          `${trackedPosition.hedged ? ' (symbol total, shared with hedge leg)' : ''}`
         );
       }
 
-      logger.info(`[POSITION] Position closed: ${symbol}, P&L: ${pnl.toFixed(2)} USDT (${pnlPercent.toFixed(2)}%)`);
+      return total;
     } catch (error) {
-      logger.error(`[POSITION] Error handling closed position: ${error.message}`);
+      logger.warn(`[POSITION] ${symbol}: could not load funding payments: ${error.message}`);
+      return 0;
     }
   }
 
   /**
-   * Оновлює дані позиції
+   * Скасовує TP limit та SL умовний ордер закритої позиції (one-cancels-other).
+   * Ордер, що спрацював, біржа повертає як вже виконаний - це не помилка.
    */
-  async updatePositionData(symbol, exchangePosition) {
-    const trackedPosition = this.openPositions.get(symbol);
-    if (!trackedPosition) return;
+  async cancelSiblingOrders(trackedPosition) {
+    const { symbol, tpOrderId, slOrderId, staleSlOrderIds } = trackedPosition;
+    const failures = [];
+
+    if (isRealOrderId(tpOrderId)) {
+      try {
+        await this.exchange.cancelOrder(symbol, tpOrderId);
+      } catch (error) {
+        failures.push({ type: 'TP', orderId: tpOrderId, error: error.response?.data?.label || error.message });
+      }
+    }
+
+    if (isRealOrderId(slOrderId)) {
+      try {
+        await this.exchange.cancelStopOrder(symbol, slOrderId);
+      } catch (error) {
+        failures.push({ type: 'SL', orderId: slOrderId, error: error.response?.data?.label || error.message });
+      }
+    }
 
+    for (const orderId of staleSlOrderIds) {
+      try {
+        await this.exchange.cancelStopOrder(symbol, orderId);
+      } catch (error) {
+        failures.push({ type: 'SL', orderId, error: error.response?.data?.label || error.message });
+      }
+    }
+
+    if (failures.length === 0) {
+      return true;
+    }
+
+    logger.error(`[POSITION] Failed to cancel leftover orders for ${symbol}: ${JSON.stringify(failures)}`);
+
+    try {
+      await this.account.notify(telegramService.formatOrderCancelFailedMessage(symbol, failures, this.exchange.label));
+    } catch (telegramError) {
+      logger.error(`[POSITION] Error sending cancel failure message: ${telegramError.message}`);
+    }
+
+    return false;
+  }
+
+  /**
+   * Оновлює дані позиції
+   */
+  async updatePositionData(trackedPosition, exchangePosition) {
     // Оновлюємо unrealised P&L
     const unrealisedPnl = parseFloat(exchangePosition.unrealisedPnl || '0');
     
-    logger.debug(`[POSITION] ${symbol}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+    logger.debug(`[POSITION] ${trackedPosition.symbol} ${trackedPosition.direction}: Unrealised P&L: ${unrealisedPnl.toFixed(2)} USDT`);
+
+    await this.handleMarkPrice(trackedPosition, parseFloat(exchangePosition.markPrice || '0'));
+  }
+
+  /**
+   * Нова mark price позиції (WS тікер або REST polling): правила керування SL.
+   * Спочатку break-even, потім trailing stop (може підтягнути SL далі).
+   * Одночасно для позиції виконується тільки одне переставляння
+   */
+  async handleMarkPrice(trackedPosition, markPrice) {
+    const key = positionKey(trackedPosition.symbol, trackedPosition.direction);
+
+    if (!(markPrice > 0) || (!config.breakEven.enabled && !config.trailing.enabled)) return;
+    if (this.stopUpdateKeys.has(key) || this.closingKeys.has(key) || this.openPositions.get(key) !== trackedPosition) return;
+
+    this.stopUpdateKeys.add(key);
+    try {
+      if (trackedPosition.staleSlOrderIds.length > 0) {
+        await this.cancelStaleStopOrders(trackedPosition);
+      }
+      if (config.breakEven.enabled) {
+        await this.applyBreakEven(trackedPosition, markPrice);
+      }
+      if (config.trailing.enabled) {
+        await this.updateTrailingStop(trackedPosition, markPrice);
+      }
+    } catch (error) {
+      logger.error(`[POSITION] Error updating stop for ${trackedPosition.symbol} ${trackedPosition.direction}: ${error.message}`);
+    } finally {
+      this.stopUpdateKeys.delete(key);
+    }
+  }
+
+  /**
+   * Повторно скасовує старі SL, що залишились після невдалого переставляння
+   * (не частіше STOP_RETRY_MS)
+   */
+  async cancelStaleStopOrders(trackedPosition) {
+    const { symbol, direction } = trackedPosition;
+
+    if (Date.now() - trackedPosition.staleCancelAttemptAt < STOP_RETRY_MS) return;
+    trackedPosition.staleCancelAttemptAt = Date.now();
+
+    for (const orderId of [...trackedPosition.staleSlOrderIds]) {
+      try {
+        await this.exchange.cancelStopOrder(symbol, orderId);
+        trackedPosition.staleSlOrderIds = trackedPosition.staleSlOrderIds.filter(id => id !== orderId);
+        logger.info(`[POSITION] ${symbol} ${direction}: stale SL #${orderId} cancelled`);
+      } catch (error) {
+        logger.error(`[POSITION] ${symbol} ${direction}: stale SL #${orderId} still not cancelled: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Break-even: коли ціна пройшла BREAK_EVEN_TRIGGER_PERCENT відстані до TP,
+   * SL переноситься на рівень, де закриття покриває комісії входу та виходу (див. calculateBreakEvenStop).
+   * Невдала заміна залишає попередній SL, повтор - через STOP_RETRY_MS
+   */
+  async applyBreakEven(trackedPosition, markPrice) {
+    const { symbol, direction, entryPrice, takeProfit } = trackedPosition;
+    const { triggerPercentOfTp } = config.breakEven;
+
+    if (trackedPosition.breakEvenAt || !trackedPosition.slOrderId) return;
+    // Прийнята без TP позиція - немає відстані, від якої рахувати поріг
+    if (!Number.isFinite(takeProfit)) return;
+    if (Date.now() - trackedPosition.breakEvenAttemptAt < STOP_RETRY_MS) return;
+
+    const sign = direction === 'LONG' ? 1 : -1;
+    const tpDistance = (takeProfit - entryPrice) * sign;
+    const progressPercent = tpDistance > 0 ? ((markPrice - entryPrice) * sign / tpDistance) * 100 : 0;
+
+    if (progressPercent < triggerPercentOfTp) return;
+
+    const breakEvenStop = await this.calculateBreakEvenStop(trackedPosition);
+
+    // SL вже не гірший за break-even (наприклад, підтягнутий trailing stop'ом).
+    // Поки не скасовано старий SL після невдалої заміни - break-even не вважається застосованим
+    if ((trackedPosition.stopLoss - breakEvenStop) * sign >= 0) {
+      if (trackedPosition.staleSlOrderIds.length === 0) {
+        trackedPosition.breakEvenAt = Date.now();
+      }
+      return;
+    }
+
+    // Ціна ще не над рівнем break-even - стоп спрацював би одразу
+    if ((markPrice - breakEvenStop) * sign <= 0) return;
+
+    logger.info(
+      `[POSITION] ${symbol} ${direction}: ${progressPercent.toFixed(0)}% of the way to TP, ` +
+      `moving SL to break-even ${breakEvenStop}`
+    );
+
+    trackedPosition.breakEvenAttemptAt = Date.now();
+    if (await this.replaceStopLoss(trackedPosition, breakEvenStop, { reason: 'break-even', markPrice }) === 'moved') {
+      trackedPosition.breakEvenAt = Date.now();
+    }
+  }
+
+  /**
+   * Рівень break-even SL: закриття по ньому покриває фактичну комісію входу,
+   * taker комісію виходу (TAKER_FEE_PERCENT від ціни SL) та BREAK_EVEN_BUFFER_PERCENT.
+   * LONG: (S - E)·q - entryFee - S·q·t = E·q·b  →  S = (E·(1 + b) + entryFee / q) / (1 - t)
+   * Ціна округлюється в бік прибутку
+   */
+  async calculateBreakEvenStop(trackedPosition) {
+    const { symbol, direction, entryPrice, coinQuantity } = trackedPosition;
+    const { takerFeePercent } = config.trading;
+    const { bufferPercent } = config.breakEven;
+    const sign = direction === 'LONG' ? 1 : -1;
+    const takerRate = takerFeePercent / 100;
+
+    if (trackedPosition.entryFee === null) {
+      // Прийнята після рестарту позиція без ордерів входу - комісія входу за taker ставкою
+      trackedPosition.entryFee = trackedPosition.entryOrderIds.length > 0
+        ? (await this.collectTradeFees(trackedPosition)).entryFee
+        : entryPrice * coinQuantity * takerRate;
+    }
+
+    const rawStop = (entryPrice * (1 + sign * bufferPercent / 100) + sign * trackedPosition.entryFee / coinQuantity) /
+      (1 - sign * takerRate);
+
+    const symbolInfo = await this.contracts.getSymbolInfo(symbol);
+    const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+    let stop = roundPrice(rawStop, pricePrecision);
+    if ((stop - rawStop) * sign < 0) {
+      stop = roundPrice(stop + sign * Math.pow(10, -pricePrecision), pricePrecision);
+    }
+
+    logger.debug(
+      `[POSITION] ${symbol} ${direction}: break-even stop ${stop} ` +
+      `(entry fee ${trackedPosition.entryFee.toFixed(4)} USDT, exit taker ${takerFeePercent}%, buffer ${bufferPercent}%)`
+    );
+
+    return stop;
+  }
+
+  /**
+   * Trailing stop: після TRAILING_ACTIVATION_PERCENT прибутку SL тримається на відстані від mark price
+   * і рухається тільки в бік прибутку, не частіше TRAILING_MIN_INTERVAL_SECONDS
+   */
+  async updateTrailingStop(trackedPosition, markPrice) {
+    const { symbol, direction, entryPrice } = trackedPosition;
+    const { activationPercent, minStepPercent, minIntervalSeconds } = config.trailing;
+
+    // Позиція без SL ордера (прийнята без захисту) - нічого переставляти
+    if (!trackedPosition.slOrderId) return;
+
+    const sign = direction === 'LONG' ? 1 : -1;
+    const profitPercent = ((markPrice - entryPrice) / entryPrice) * 100 * sign;
+
+    if (!trackedPosition.trailingActive) {
+      if (profitPercent < activationPercent) return;
+
+      trackedPosition.trailDistancePercent = await this.resolveTrailDistance(trackedPosition, markPrice);
+      trackedPosition.trailingActive = true;
+      logger.info(
+        `[POSITION] ${symbol} ${direction}: trailing stop activated at ${markPrice} ` +
+        `(+${profitPercent.toFixed(2)}%), distance ${trackedPosition.trailDistancePercent}%`
+      );
+    }
+
+    if (Date.now() - trackedPosition.lastStopMoveAt < minIntervalSeconds * 1000) return;
+
+    const symbolInfo = await this.contracts.getSymbolInfo(symbol);
+    const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+    const newStop = roundPrice(markPrice * (1 - sign * trackedPosition.trailDistancePercent / 100), pricePrecision);
+    const stepPercent = ((newStop - trackedPosition.stopLoss) / entryPrice) * 100 * sign;
+
+    if (stepPercent <= 0 || stepPercent < minStepPercent) return;
+
+    await this.replaceStopLoss(trackedPosition, newStop, { reason: 'trailing', markPrice });
+  }
+
+  /**
+   * Відстань trailing stop (% від mark price): фіксована або TRAILING_ATR_MULTIPLE × ATR.
+   * ATR недоступний - фіксована відстань
+   */
+  async resolveTrailDistance(trackedPosition, markPrice) {
+    const { distanceMode, distancePercent, atrMultiple } = config.trailing;
+
+    if (distanceMode !== 'atr') {
+      return distancePercent;
+    }
+
+    try {
+      const reading = await getVolatilityReading(this.exchange, trackedPosition.symbol, markPrice, 'atr');
+      return parseFloat((reading.valuePercent * atrMultiple).toFixed(4));
+    } catch (error) {
+      logger.warn(`[POSITION] ${trackedPosition.symbol}: ATR unavailable (${error.message}), trailing by ${distancePercent}%`);
+      return distancePercent;
+    }
+  }
+
+  /**
+   * Переставляє SL: спочатку новий price-triggered ордер, потім скасування старого,
+   * щоб позиція не залишалась без стопу. Новий SL не виставився - старий лишається.
+   * Якщо не скасувався ні старий, ні новий - на біржі два SL: відстежується новий,
+   * старий додається в staleSlOrderIds і скасовується повторно та при закритті.
+   * В DRY RUN рівень змінюється тільки в пам'яті
+   *
+   * @returns {string} 'moved' - SL переставлено, 'kept' - лишився старий SL,
+   *                   'duplicate' - активні обидва SL (повідомлення про переставляння не відправляється)
+   */
+  async replaceStopLoss(trackedPosition, newStop, { reason, markPrice }) {
+    const { symbol, direction, entryPrice, stopLoss: previousStop, slOrderId: previousOrderId } = trackedPosition;
+
+    if (isRealOrderId(previousOrderId)) {
+      let placed;
+      try {
+        placed = await this.exchange.setStopLossLimit(symbol, direction, newStop, trackedPosition.quantity);
+      } catch (error) {
+        logger.error(`[POSITION] ${symbol} ${direction}: new SL @ ${newStop} not placed, keeping ${previousStop}: ${error.message}`);
+        return 'kept';
+      }
+
+      // Закриття під час заміни скасує вже новий ордер
+      trackedPosition.slOrderId = placed.orderId;
+
+      try {
+        await this.exchange.cancelStopOrder(symbol, previousOrderId);
+      } catch (error) {
+        logger.error(`[POSITION] ${symbol} ${direction}: old SL #${previousOrderId} not cancelled: ${error.message}`);
+
+        // Два стопи на позиції - знімаємо новий і лишаємо старий
+        try {
+          await this.exchange.cancelStopOrder(symbol, placed.orderId);
+          trackedPosition.slOrderId = previousOrderId;
+          return 'kept';
+        } catch (rollbackError) {
+          logger.error(`[POSITION] ${symbol} ${direction}: new SL #${placed.orderId} not cancelled either: ${rollbackError.message}`);
+        }
+
+        // Відстежуємо новий SL (він точно активний), старий - до повторного скасування
+        trackedPosition.staleSlOrderIds.push(previousOrderId);
+        trackedPosition.stopLoss = newStop;
+        trackedPosition.lastStopMoveAt = Date.now();
+
+        try {
+          await this.account.notify(telegramService.formatOrderCancelFailedMessage(
+            symbol,
+            [{ type: 'SL', orderId: previousOrderId, error: error.response?.data?.label || error.message }],
+            this.exchange.label
+          ));
+        } catch (telegramError) {
+          logger.error(`[POSITION] Error sending cancel failure message: ${telegramError.message}`);
+        }
+
+        return 'duplicate';
+      }
+    }
+
+    trackedPosition.stopLoss = newStop;
+    trackedPosition.stopMoves++;
+    trackedPosition.lastStopMoveAt = Date.now();
+
+    logger.info(`[POSITION] ${symbol} ${direction}: SL moved ${previousStop} → ${newStop} (${reason}, mark ${markPrice})`);
+
+    try {
+      await this.account.notify(telegramService.formatStopMovedMessage({
+        symbol,
+        direction,
+        entryPrice,
+        previousStop,
+        newStop,
+        markPrice,
+        reason
+      }));
+    } catch (telegramError) {
+      logger.error(`[POSITION] Error sending stop moved message: ${telegramError.message}`);
+    }
+
+    return 'moved';
   }
 
   /**
@@ -226,12 +867,18 @@ class PositionService {
     const winTrades = this.closedPositions.filter(p => p.pnl >= 0).length;
     const loseTrades = totalTrades - winTrades;
     const totalPnl = this.closedPositions.reduce((sum, p) => sum + p.pnl, 0);
+    const totalGrossPnl = this.closedPositions.reduce((sum, p) => sum + (p.pricePnl ?? p.pnl), 0);
+    const totalFees = this.closedPositions.reduce((sum, p) => sum + (p.fees || 0), 0);
+    const totalFunding = this.closedPositions.reduce((sum, p) => sum + (p.funding || 0), 0);
     
     return {
       totalTrades,
       winTrades,
       loseTrades,
-      totalPnl,
+      totalPnl, // net
+      totalGrossPnl,
+      totalFees,
+      totalFunding,
       openPositions: this.openPositions.size,
       closedPositions: totalTrades
     };
@@ -246,6 +893,6 @@ class PositionService {
   }
 }
 
-// Експортуємо singleton
-const positionService = new PositionService();
-export default positionService;
+// Екземпляр створюється для кожного акаунта (див. account.service.js)
+export { PositionService };
+export default PositionService;
@@ -1,5 +1,11 @@
 import { config } from '../config/settings.js';
-import { roundPrice, isValidNumber } from '../utils/helpers.js';
+import {
+  roundPrice,
+  isValidNumber,
+  coinsToContracts,
+  contractsToCoins,
+  contractsToNotional
+} from '../utils/helpers.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -8,13 +14,22 @@ import logger from '../utils/logger.js';
  * ВАЖЛИВО: Gate.io підтримує дробові контракти через header X-Gate-Size-Decimal: 1
  * Це означає що size може бути будь-яким числом, наприклад 0.3 контракту
  * 
+ * Size рахується в КОНТРАКТАХ: 1 контракт = quantoMultiplier монет
+ * (наприклад ADA_USDT: 1 контракт = 10 ADA)
+ *
+ * SIZING_MODE:
+ * - margin: RISK_PERCENTAGE - частка балансу, що йде в маржу (notional = маржа × плече)
+ * - stop_loss: RISK_PERCENTAGE - збиток при спрацюванні SL (notional = збиток / відстань до SL),
+ *   обмежений плечем та балансом
+ * 
  * @param {number} balance - available balance USDT на Futures акаунті
  * @param {number} entryPrice - поточна ціна входу
  * @param {string} direction - 'LONG' або 'SHORT'
- * @param {Object} symbolInfo - інформація про символ (minQty, maxQty, pricePrecision)
+ * @param {Object} symbolInfo - інформація про символ (minQty, maxQty, pricePrecision, quantoMultiplier)
+ * @param {Object} riskSettings - налаштування ризику акаунта (за замовчуванням config.risk)
  * @returns {Object} параметри позиції
  */
-export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}) {
+export function calculatePositionParameters(balance, entryPrice, direction, symbolInfo = {}, riskSettings = {}) {
   try {
     // Валідація вхідних даних
     if (!isValidNumber(balance) || balance <= 0) {
@@ -29,31 +44,67 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       throw new Error(`Invalid direction: ${direction}. Must be LONG or SHORT`);
     }
 
-    const leverage = config.risk.leverage;
-    const riskPercent = config.risk.percentage / 100; // Конвертуємо в decimal (3% → 0.03)
+    const risk = { ...config.risk, ...riskSettings };
+    const riskPercent = risk.percentage / 100; // Конвертуємо в decimal (3% → 0.03)
     
     // КРОК 1: Safety buffer (99%)
     const usableBalance = balance * 0.99;
     
-    // КРОК 2: marginLimit = usableBalance * riskPercent
-    // Це МАКСИМАЛЬНА маржа яку ми хочемо використати
-    const marginLimit = usableBalance * riskPercent;
+    // КРОК 2: riskBudget = usableBalance * riskPercent
+    // margin: МАКСИМАЛЬНА маржа яку ми хочемо використати; stop_loss: збиток при SL
+    const riskBudget = usableBalance * riskPercent;
+    const { stopLoss: plannedStopLoss } = calculateExitPrices(entryPrice, direction, symbolInfo, risk);
+    const stopDistance = Math.abs(entryPrice - plannedStopLoss) / entryPrice;
+
+    if (risk.sizingMode === 'stop_loss' && !(stopDistance > 0)) {
+      throw new Error(`Stop loss distance is zero for ${symbolInfo.symbol || 'symbol'}, cannot size by stop`);
+    }
+
+    // КРОК 2.1: Плече, при якому SL спрацьовує раніше оціночної ліквідації.
+    // В cross забезпеченням є весь баланс, тому ліквідація значно далі ніж в isolated
+    const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+    const { marginMode } = resolveMarginSettings(symbolInfo.symbol, risk);
+    const maintenanceRate = symbolInfo.maintenanceRate || risk.defaultMaintenanceRate;
+    // stop_loss: плече тільки обмежує розмір, тому для cross береться найгірший випадок -
+    // позиція на весь баланс (як isolated)
+    const collateralRatio = marginMode === 'cross' && risk.sizingMode === 'margin' ? usableBalance / riskBudget : 1;
+    const leverage = resolveSafeLeverage(risk.leverage, {
+      stopDistance,
+      maintenanceRate,
+      collateralRatio,
+      symbolInfo,
+      risk
+    });
     
-    // КРОК 3: notional = marginLimit * leverage
-    // Це розмір позиції в USDT
-    const notional = marginLimit * leverage;
+    // КРОК 3: notional - розмір позиції в USDT
+    // margin: riskBudget * leverage; stop_loss: riskBudget / (stopDistance + комісії входу та виходу),
+    // не більше usableBalance * leverage
+    let notional = riskBudget * leverage;
+    if (risk.sizingMode === 'stop_loss') {
+      // Збиток на 1 USDT notional (1 / entryPrice монет)
+      notional = riskBudget / estimateLossAtStop(entryPrice, plannedStopLoss, 1 / entryPrice);
+      const maxNotional = usableBalance * leverage;
+      if (notional > maxNotional) {
+        logger.warn(
+          `[RISK] Stop-based notional ${notional.toFixed(2)} USDT exceeds ${leverage}x of balance, ` +
+          `capped at ${maxNotional.toFixed(2)} USDT: loss at SL below ${risk.percentage}% risk`
+        );
+        notional = maxNotional;
+      }
+    }
     
-    // КРОК 4: size (кількість контрактів) = notional / entryPrice
+    // КРОК 4: кількість монет = notional / entryPrice,
+    // кількість контрактів = монети / quantoMultiplier
     // Gate.io підтримує дробові контракти через X-Gate-Size-Decimal: 1 header
-    // Тому НЕ використовуємо Math.floor() - дозволяємо дробові значення
-    // Приклад: для HYPE ($33.29) з ризиком 3%:
-    // - notional = 7.2 USDT
-    // - size = 7.2 / 33.29 = 0.216 контрактів ✅ (дозволено!)
-    let size = notional / entryPrice;
+    // Приклад: ADA ($0.50, multiplier 10) з notional 495 USDT:
+    // - монети = 495 / 0.5 = 990 ADA
+    // - size = 990 / 10 = 99 контрактів
+    const quantoMultiplier = isValidNumber(symbolInfo.quantoMultiplier) ? symbolInfo.quantoMultiplier : 1;
+    let size = coinsToContracts(notional / entryPrice, quantoMultiplier);
     
-    // КРОК 5: Округлення до розумної точності (6 знаків після коми)
-    // Це для уникнення проблем з float precision
-    size = Math.round(size * 1000000) / 1000000;
+    // КРОК 5: Округлення вниз до 6 знаків після коми,
+    // щоб не перевищити бюджет ризику через float precision
+    size = Math.floor(size * 1000000 + 1e-9) / 1000000;
     
     // КРОК 6: Перевірка максимуму (якщо заданий)
     const maxQty = symbolInfo.maxQty || Infinity;
@@ -62,10 +113,22 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       size = maxQty;
     }
     
-    // КРОК 7: Перерахувати фактичну маржу з фінальним size
-    let requiredMargin = (size * entryPrice) / leverage;
+    // КРОК 7: Перевірка мінімуму - не збільшуємо позицію понад бюджет ризику
+    const minQty = symbolInfo.minQty || 0;
+    if (size < minQty) {
+      const minNotional = contractsToNotional(minQty, quantoMultiplier, entryPrice);
+      throw new Error(
+        `Risk budget too small for ${symbolInfo.symbol || 'symbol'}: ` +
+        `${size} contracts (${notional.toFixed(2)} USDT notional) < minimum ${minQty} contracts ` +
+        `(${minNotional.toFixed(2)} USDT notional, ${(minNotional / leverage).toFixed(2)} USDT margin)`
+      );
+    }
+    
+    // КРОК 8: Перерахувати фактичну маржу з фінальним size та перевірити баланс
+    const coinQuantity = contractsToCoins(size, quantoMultiplier);
+    const finalNotional = coinQuantity * entryPrice;
+    const requiredMargin = finalNotional / leverage;
     
-    // КРОК 8: Фінальна перевірка балансу
     if (requiredMargin > usableBalance) {
       throw new Error(
         `Insufficient balance. ` +
@@ -74,23 +137,16 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
       );
     }
     
-    // КРОК 9: Розрахувати TP/SL ціни
-    const stopLossPrice = direction === 'LONG'
-      ? entryPrice * (1 - config.risk.stopLossPercent / 100)
-      : entryPrice * (1 + config.risk.stopLossPercent / 100);
-    
-    const takeProfitPrice = direction === 'LONG'
-      ? entryPrice * (1 + config.risk.takeProfitPercent / 100)
-      : entryPrice * (1 - config.risk.takeProfitPercent / 100);
-    
-    // КРОК 10: Округлити ціни
-    const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+    // КРОК 9-10: Розрахувати та округлити TP/SL ціни
     const roundedEntryPrice = roundPrice(entryPrice, pricePrecision);
-    const roundedStopLoss = roundPrice(stopLossPrice, pricePrecision);
-    const roundedTakeProfit = roundPrice(takeProfitPrice, pricePrecision);
-    
-    // Фінальний notional з реальним size
-    const finalNotional = size * entryPrice;
+    const { takeProfit: roundedTakeProfit, stopLoss: roundedStopLoss } =
+      calculateExitPrices(entryPrice, direction, symbolInfo, risk);
+    const lossAtStop = estimateLossAtStop(entryPrice, roundedStopLoss, coinQuantity);
+    // Фактичне забезпечення: isolated - маржа позиції, cross - весь баланс
+    const distanceToLiquidation = marginMode === 'cross'
+      ? liquidationDistance(finalNotional / usableBalance, maintenanceRate)
+      : liquidationDistance(leverage, maintenanceRate);
+    const liquidationPrice = estimateLiquidationPrice(entryPrice, direction, distanceToLiquidation, pricePrecision);
     
     // Debug лог перед відкриттям
     logger.info(`[RISK] ━━━ POSITION CALCULATION ━━━`);
@@ -98,25 +154,38 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
     logger.info(`  Entry Price: $${entryPrice}`);
     logger.info(`  Available Balance: ${balance.toFixed(6)} USDT`);
     logger.info(`  Usable Balance (99%): ${usableBalance.toFixed(6)} USDT`);
+    logger.info(`  Sizing Mode: ${risk.sizingMode}`);
     logger.info(`  Risk Percent: ${(riskPercent * 100).toFixed(2)}%`);
-    logger.info(`  Margin Limit: ${marginLimit.toFixed(6)} USDT`);
-    logger.info(`  Leverage: ${leverage}x`);
+    logger.info(`  ${risk.sizingMode === 'stop_loss' ? 'Loss Budget' : 'Margin Limit'}: ${riskBudget.toFixed(6)} USDT`);
+    logger.info(`  Leverage: ${leverage}x (${marginMode} margin)`);
     logger.info(`  Notional (target): ${notional.toFixed(6)} USDT`);
-    logger.info(`  Size: ${size} contracts (fractional allowed)`);
+    logger.info(`  Quanto Multiplier: ${quantoMultiplier}`);
+    logger.info(`  Size: ${size} contracts = ${coinQuantity} coins (fractional allowed)`);
     logger.info(`  Notional (actual): ${finalNotional.toFixed(6)} USDT`);
     logger.info(`  Required Margin: ${requiredMargin.toFixed(6)} USDT`);
     logger.info(`  Margin %: ${((requiredMargin/balance)*100).toFixed(2)}%`);
     logger.info(`  TP: ${roundedTakeProfit}, SL: ${roundedStopLoss}`);
+    logger.info(`  Loss at SL: ${lossAtStop.toFixed(6)} USDT (${((lossAtStop / balance) * 100).toFixed(2)}% of balance, incl. est. fees)`);
+    logger.info(`  Est. Liquidation: ${liquidationPrice ?? 'none'} (maintenance rate ${(maintenanceRate * 100).toFixed(2)}%)`);
     
     const result = {
       entryPrice: roundedEntryPrice,
-      quantity: size,  // FLOAT з дробовою частиною (наприклад 0.216)
+      quantity: size,  // КОНТРАКТИ, FLOAT з дробовою частиною (наприклад 0.216)
+      coinQuantity: coinQuantity,
+      quantoMultiplier: quantoMultiplier,
       positionSize: finalNotional,
       leverage: leverage,
+      marginMode: marginMode,
       requiredMargin: requiredMargin,
+      liquidationPrice: liquidationPrice,
+      liquidationDistance: distanceToLiquidation,
       stopLoss: roundedStopLoss,
       takeProfit: roundedTakeProfit,
-      riskAmount: marginLimit,
+      takeProfitPercent: risk.takeProfitPercent,
+      stopLossPercent: risk.stopLossPercent,
+      riskAmount: riskBudget,
+      sizingMode: risk.sizingMode,
+      lossAtStop: lossAtStop,
       direction: direction,
       symbol: symbolInfo.symbol || 'UNKNOWN'
     };
@@ -128,6 +197,141 @@ export function calculatePositionParameters(balance, entryPrice, direction, symb
   }
 }
 
+/**
+ * Оціночний збиток при спрацюванні SL, USDT: рух ціни до SL
+ * плюс taker комісія входу (від ціни входу) та виходу (від ціни SL)
+ *
+ * @param {number} entryPrice - ціна входу
+ * @param {number} stopLoss - ціна SL
+ * @param {number} coinQuantity - розмір позиції в монетах
+ * @param {number} takerFeePercent - taker комісія, % (за замовчуванням TAKER_FEE_PERCENT)
+ * @returns {number}
+ */
+export function estimateLossAtStop(entryPrice, stopLoss, coinQuantity, takerFeePercent = config.trading.takerFeePercent) {
+  const takerRate = takerFeePercent / 100;
+  return coinQuantity * (Math.abs(entryPrice - stopLoss) + (entryPrice + stopLoss) * takerRate);
+}
+
+/**
+ * Відстань від ціни входу до оціночної ліквідації (частка ціни входу):
+ * забезпечення / notional - maintenance rate.
+ * collateralRatio - забезпечення відносно маржі позиції (isolated = 1, cross = баланс / маржа).
+ * Комісії та unrealised P&L інших позицій не враховуються
+ */
+export function liquidationDistance(leverage, maintenanceRate, collateralRatio = 1) {
+  return collateralRatio / leverage - maintenanceRate;
+}
+
+/**
+ * Оціночна ціна ліквідації; null - LONG не ліквідується навіть при ціні 0
+ */
+export function estimateLiquidationPrice(entryPrice, direction, distance, pricePrecision = 4) {
+  if (direction === 'LONG') {
+    return distance >= 1 ? null : roundPrice(entryPrice * (1 - distance), pricePrecision);
+  }
+  return roundPrice(entryPrice * (1 + distance), pricePrecision);
+}
+
+/**
+ * Найбільше плече (не більше заданого), при якому між SL та ліквідацією
+ * залишається LIQUIDATION_BUFFER_PERCENT. LIQUIDATION_ACTION=skip - відмова замість зниження
+ */
+function resolveSafeLeverage(leverage, { stopDistance, maintenanceRate, collateralRatio, symbolInfo, risk }) {
+  const requiredDistance = stopDistance + risk.liquidationBufferPercent / 100;
+
+  // 1e-9 - похибка float на межі (наприклад 100x, SL 0.3% + буфер 0.2%)
+  if (liquidationDistance(leverage, maintenanceRate, collateralRatio) >= requiredDistance - 1e-9) {
+    return leverage;
+  }
+
+  const safeLeverage = Math.floor(collateralRatio / (requiredDistance + maintenanceRate) + 1e-9);
+  const minLeverage = Math.max(1, symbolInfo.leverageMin || 1);
+  const reason =
+    `Stop loss ${(stopDistance * 100).toFixed(2)}% is within ${risk.liquidationBufferPercent}% of the estimated ` +
+    `liquidation at ${leverage}x (maintenance rate ${(maintenanceRate * 100).toFixed(2)}%)`;
+
+  if (risk.liquidationAction === 'skip') {
+    throw new Error(`${reason}, LIQUIDATION_ACTION=skip`);
+  }
+
+  if (safeLeverage < minLeverage) {
+    throw new Error(`${reason}, no safe leverage at or above ${minLeverage}x`);
+  }
+
+  logger.warn(`[RISK] ${reason}: leverage lowered to ${safeLeverage}x`);
+  return safeLeverage;
+}
+
+/**
+ * TP/SL ціни від ціни входу (округлені до pricePrecision символу).
+ * Використовується і після входу - від фактичної середньої ціни виконання
+ */
+export function calculateExitPrices(entryPrice, direction, symbolInfo = {}, riskSettings = {}) {
+  const risk = { ...config.risk, ...riskSettings };
+
+  const stopLossPrice = direction === 'LONG'
+    ? entryPrice * (1 - risk.stopLossPercent / 100)
+    : entryPrice * (1 + risk.stopLossPercent / 100);
+
+  const takeProfitPrice = direction === 'LONG'
+    ? entryPrice * (1 + risk.takeProfitPercent / 100)
+    : entryPrice * (1 - risk.takeProfitPercent / 100);
+
+  const pricePrecision = symbolInfo.pricePrecision !== undefined ? symbolInfo.pricePrecision : 4;
+
+  return {
+    takeProfit: roundPrice(takeProfitPrice, pricePrecision),
+    stopLoss: roundPrice(stopLossPrice, pricePrecision)
+  };
+}
+
+/**
+ * Margin mode та плече для символу: SYMBOL_MARGIN_MODES перевизначає MARGIN_MODE.
+ * В cross режимі ліміт плеча - CROSS_LEVERAGE_LIMIT, але не більше leverage
+ * (плече могло бути знижене liquidation guard'ом - ліміт не повинен його перевищувати)
+ */
+export function resolveMarginSettings(symbol, riskSettings = {}) {
+  const risk = { ...config.risk, ...riskSettings };
+  const marginMode = risk.symbolMarginModes?.[symbol] || risk.marginMode;
+
+  return {
+    marginMode,
+    leverage: risk.leverage,
+    crossLeverageLimit: marginMode === 'cross' ? Math.min(risk.leverage, risk.crossLeverageLimit || risk.leverage) : null
+  };
+}
+
+/**
+ * Правило funding для входу: якщо найближчий funding скоро і ставка проти напрямку
+ * (LONG платить при ставці > 0, SHORT - при < 0) - пропустити або зменшити позицію
+ *
+ * @returns {Object} { action: 'allow' | 'shrink' | 'skip', fundingRatePercent, adverseRatePercent, minutesToFunding, shrinkFactor }
+ */
+export function evaluateFunding(direction, fundingInfo, now = Date.now()) {
+  const { windowMinutes, skipRatePercent, shrinkRatePercent, shrinkFactor } = config.funding;
+  const fundingRatePercent = fundingInfo.fundingRate * 100;
+  const adverseRatePercent = direction === 'LONG' ? fundingRatePercent : -fundingRatePercent;
+  const minutesToFunding = fundingInfo.nextFundingTime > 0
+    ? Math.max(0, (fundingInfo.nextFundingTime - now) / 60000)
+    : null;
+
+  const result = { action: 'allow', fundingRatePercent, adverseRatePercent, minutesToFunding, shrinkFactor: 1 };
+
+  if (minutesToFunding === null || minutesToFunding > windowMinutes || adverseRatePercent <= 0) {
+    return result;
+  }
+
+  if (skipRatePercent > 0 && adverseRatePercent >= skipRatePercent) {
+    return { ...result, action: 'skip' };
+  }
+
+  if (shrinkRatePercent > 0 && adverseRatePercent >= shrinkRatePercent) {
+    return { ...result, action: 'shrink', shrinkFactor };
+  }
+
+  return result;
+}
+
 /**
  * Перевіряє чи достатньо балансу для відкриття позиції
  */
@@ -137,5 +341,11 @@ export function hasSufficientBalance(balance, requiredMargin) {
 
 export default {
   calculatePositionParameters,
+  calculateExitPrices,
+  liquidationDistance,
+  estimateLiquidationPrice,
+  resolveMarginSettings,
+  estimateLossAtStop,
+  evaluateFunding,
   hasSufficientBalance
 };
@@ -0,0 +1,422 @@
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+import telegramService from './telegram.service.js';
+import accountService from './account.service.js';
+import riskService from './risk.service.js';
+import { applyMarginSettings, executeEntry, protectEntry } from './entry.service.js';
+import { resolveExitLevels } from './levels.service.js';
+import { isTradingHoursActive, getTradingHoursInfo } from './time.service.js';
+import { isSymbolAllowed } from '../utils/helpers.js';
+import {
+  createCorrelationId,
+  runWithCorrelationId,
+  runWithLogContext,
+  getCorrelationId
+} from '../utils/correlation.js';
+
+// Опис стратегії входу (ENTRY_MODE) для логів та стартового повідомлення
+export const ENTRY_MODE_LABELS = {
+  market: 'Market entry (0.05% fee)',
+  limit_ioc: `IOC limit entry, max slippage ${config.trading.maxSlippagePercent}% (0.05% fee)`,
+  maker: 'Post-only maker entry (0.02% fee)'
+};
+
+/**
+ * Обробка торговельного сигналу.
+ * Кожен сигнал отримує correlation id, який проходить через валідацію,
+ * розміщення ордерів і закриття позиції.
+ * Сигнал обробляється кожним акаунтом незалежно (помилка одного не зупиняє інші).
+ * Викликається з Telegram (index.js) та mock сценаріями (scripts/mock-scenario.js)
+ */
+export async function handleSignal(signal) {
+  return runWithCorrelationId(createCorrelationId(), () =>
+    Promise.all(accountService.getAll().map(account =>
+      runWithLogContext({ accountId: account.id }, () => processSignal(account, signal))
+    ))
+  );
+}
+
+async function processSignal(account, signal) {
+  const { statistics } = account;
+
+  try {
+    statistics.totalSignals++;
+    
+    const { symbol, direction, timestamp } = signal;
+    
+    logger.info(`[SIGNAL] Processing: ${symbol} ${direction}`);
+
+    // Валідація сигналу
+    const validation = await validateSignal(account, signal);
+    
+    if (!validation.valid) {
+      logger.warn(`[SIGNAL] Validation failed: ${validation.reason}`);
+      
+      try {
+        await account.notify(
+          telegramService.formatSignalIgnoredMessage(symbol, direction, validation.reason, validation.info)
+        );
+      } catch (telegramError) {
+        logger.error(`[SIGNAL] Error sending ignored message: ${telegramError.message}`);
+      }
+      
+      if (validation.reason.includes('trading hours')) {
+        statistics.signalsIgnored++;
+      }
+      
+      return;
+    }
+
+    // Відкриваємо позицію
+    await openPosition(account, signal, validation);
+    
+  } catch (error) {
+    logger.error(`[SIGNAL] Error handling signal: ${error.message}`);
+    logger.error(`[SIGNAL] Stack trace: ${error.stack}`);
+    
+    try {
+      await account.notify(
+        `❌ <b>ERROR PROCESSING SIGNAL</b>\n\n` +
+        `Symbol: ${signal.symbol || 'UNKNOWN'}\n` +
+        `Direction: ${signal.direction || 'UNKNOWN'}\n` +
+        `Error: ${error.message}\n` +
+        `Ref: ${getCorrelationId()}`
+      );
+    } catch (telegramError) {
+      logger.error(`[SIGNAL] Error sending error message: ${telegramError.message}`);
+    }
+  }
+}
+
+/**
+ * Валідація сигналу перед відкриттям позиції
+ */
+async function validateSignal(account, signal) {
+  const { symbol, direction } = signal;
+  const { positions, statistics } = account;
+
+  // 1. Перевірка символу
+  if (!isSymbolAllowed(symbol, account.allowedSymbols.join(','))) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not in allowed list`,
+      info: {}
+    };
+  }
+
+  // 2. Перевірка напрямку
+  if (direction !== 'LONG' && direction !== 'SHORT') {
+    return {
+      valid: false,
+      reason: `Invalid direction: ${direction}`,
+      info: {}
+    };
+  }
+
+  // 3. Перевірка торговельних годин
+  if (!isTradingHoursActive()) {
+    const hoursInfo = getTradingHoursInfo();
+    return {
+      valid: false,
+      reason: 'Outside trading hours',
+      info: {
+        currentTime: `${hoursInfo.currentHour}:${String(hoursInfo.currentMinute).padStart(2, '0')}`,
+        tradingHours: `${hoursInfo.startHour}:00-${hoursInfo.endHour}:00`,
+        nextTrading: hoursInfo.nextTradingIn
+      }
+    };
+  }
+
+  // 4. Перевірка відкритих позицій: та сама сторона - завжди пропуск,
+  //    протилежна - друга нога тільки в dual_mode з OPPOSITE_SIGNAL_POLICY=hedge
+  if (positions.hasOpenPosition(symbol, direction)) {
+    return {
+      valid: false,
+      reason: `Open ${direction} position already exists for ${symbol}`,
+      info: {}
+    };
+  }
+
+  const oppositeDirection = direction === 'LONG' ? 'SHORT' : 'LONG';
+  if (positions.hasOpenPosition(symbol, oppositeDirection)) {
+    if (config.exchange.positionMode !== 'dual_mode') {
+      return {
+        valid: false,
+        reason: `Open ${oppositeDirection} position already exists for ${symbol}`,
+        info: {}
+      };
+    }
+
+    if (config.trading.oppositeSignalPolicy !== 'hedge') {
+      return {
+        valid: false,
+        reason: `Opposite ${oppositeDirection} position open for ${symbol} (OPPOSITE_SIGNAL_POLICY=${config.trading.oppositeSignalPolicy})`,
+        info: {}
+      };
+    }
+
+    logger.info(`[SIGNAL] ${symbol}: opening ${direction} hedge leg against open ${oppositeDirection}`);
+  }
+
+  // 5. Перевірка максимальної кількості відкритих позицій
+  if (positions.getOpenPositionsCount() >= config.trading.maxOpenPositions) {
+    return {
+      valid: false,
+      reason: `Maximum open positions (${config.trading.maxOpenPositions}) reached`,
+      info: {}
+    };
+  }
+
+  // 6. Перевірка максимальної кількості угод на день
+  if (statistics.dailyTrades >= config.trading.maxDailyTrades) {
+    return {
+      valid: false,
+      reason: `Maximum daily trades (${config.trading.maxDailyTrades}) reached`,
+      info: {}
+    };
+  }
+
+  // 7. Перевірка балансу
+  try {
+    const balance = await account.exchange.getUSDTBalance();
+    statistics.currentBalance = balance;
+    
+    if (balance <= 0) {
+      return {
+        valid: false,
+        reason: 'Insufficient balance',
+        info: {}
+      };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Error checking balance: ${error.message}`,
+      info: {}
+    };
+  }
+
+  // 8. Перевірка що символ існує та торгується
+  try {
+    const symbolInfo = await account.contracts.getSymbolInfo(symbol);
+    if (symbolInfo.status !== 'Trading') {
+      return {
+        valid: false,
+        reason: `Symbol ${symbol} is not trading`,
+        info: {}
+      };
+    }
+
+    // Cross ліміт не перевищує плече акаунта (див. resolveMarginSettings)
+    if (account.risk.leverage > symbolInfo.leverageMax) {
+      return {
+        valid: false,
+        reason: `Leverage ${account.risk.leverage}x exceeds ${symbol} maximum (${symbolInfo.leverageMax}x)`,
+        info: {}
+      };
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      reason: `Symbol ${symbol} not found or error: ${error.message}`,
+      info: {}
+    };
+  }
+
+  // 9. Перевірка funding: великий funding проти напрямку незабаром - пропуск або менша позиція.
+  //    Помилка отримання funding не блокує вхід
+  let funding = null;
+  try {
+    const fundingInfo = await account.exchange.getFundingInfo(symbol);
+    funding = riskService.evaluateFunding(direction, fundingInfo);
+  } catch (error) {
+    logger.warn(`[SIGNAL] ${symbol}: funding check skipped: ${error.message}`);
+  }
+
+  if (funding?.action === 'skip') {
+    return {
+      valid: false,
+      reason: `Adverse funding ${funding.adverseRatePercent.toFixed(4)}% in ${Math.ceil(funding.minutesToFunding)} min (FUNDING_SKIP_RATE_PERCENT=${config.funding.skipRatePercent})`,
+      info: {}
+    };
+  }
+
+  return { valid: true, funding };
+}
+
+/**
+ * Відкриття позиції
+ */
+async function openPosition(account, signal, validation = {}) {
+  const { symbol, direction, timestamp } = signal;
+  const { exchange, positions, statistics } = account;
+  
+  try {
+    logger.info(`[TRADE] Opening position: ${symbol} ${direction}`);
+
+    // Отримуємо поточний баланс
+    const balance = await exchange.getUSDTBalance();
+    statistics.currentBalance = balance;
+
+    // Отримуємо поточну ціну
+    const currentPrice = await exchange.getCurrentPrice(symbol);
+    
+    // Отримуємо інформацію про символ (з кешу контрактів)
+    const symbolInfo = await account.contracts.getSymbolInfo(symbol);
+
+    // Funding проти напрямку незабаром - зменшуємо ризик на FUNDING_SHRINK_FACTOR
+    let riskSettings = account.risk;
+    const { funding } = validation;
+    if (funding?.action === 'shrink') {
+      riskSettings = { ...account.risk, percentage: account.risk.percentage * funding.shrinkFactor };
+      logger.info(
+        `[TRADE] ${symbol}: adverse funding ${funding.adverseRatePercent.toFixed(4)}% in ${Math.ceil(funding.minutesToFunding)} min, ` +
+        `risk reduced to ${riskSettings.percentage}%`
+      );
+    }
+
+    // TP/SL від волатильності (LEVELS_MODE) або фіксовані відсотки
+    const levels = await resolveExitLevels(exchange, symbol, currentPrice, riskSettings);
+    riskSettings = { ...riskSettings, takeProfitPercent: levels.takeProfitPercent, stopLossPercent: levels.stopLossPercent };
+
+    // Розраховуємо параметри позиції
+    const positionParams = riskService.calculatePositionParameters(
+      balance,
+      currentPrice,
+      direction,
+      symbolInfo,
+      riskSettings
+    );
+
+    // Перевірка достатності балансу
+    if (!riskService.hasSufficientBalance(balance, positionParams.requiredMargin)) {
+      throw new Error(`Insufficient balance. Required: ${positionParams.requiredMargin} USDT, Available: ${balance} USDT`);
+    }
+
+    if (account.dryRun) {
+      // DRY RUN режим - тільки логування
+      logger.info('[DRY RUN] Would open position:');
+      logger.info(`  Symbol: ${symbol}`);
+      logger.info(`  Direction: ${direction}`);
+      logger.info(`  Entry Price: ${positionParams.entryPrice}`);
+      logger.info(`  Quantity: ${positionParams.quantity} contracts (${positionParams.coinQuantity} coins)`);
+      logger.info(`  Take Profit: ${positionParams.takeProfit} (Limit order, 0.02% fee)`);
+      logger.info(`  Stop Loss: ${positionParams.stopLoss} (Limit order, 0.02% fee)`);
+      logger.info(`  Est. Liquidation: ${positionParams.liquidationPrice ?? 'none'} (${positionParams.leverage}x ${positionParams.marginMode})`);
+      logger.info(`  Required Margin: ${positionParams.requiredMargin} USDT`);
+      
+      // Симулюємо успішне відкриття
+      positions.addOpenPosition({
+        symbol,
+        direction,
+        entryPrice: positionParams.entryPrice,
+        quantity: positionParams.quantity,
+        quantoMultiplier: positionParams.quantoMultiplier,
+        takeProfit: positionParams.takeProfit,
+        stopLoss: positionParams.stopLoss,
+        orderId: 'DRY_RUN_' + Date.now(),
+        timestamp,
+        tpOrderId: 'DRY_RUN_TP',
+        slOrderId: 'DRY_RUN_SL'
+      });
+
+      statistics.totalTrades++;
+      statistics.dailyTrades++;
+      
+      return;
+    }
+
+    // Реальна торгівля
+    // 1. Встановлюємо margin mode та плече, перевіряємо що біржа їх застосувала
+    const marginSettings = await applyMarginSettings(account, symbol, positionParams.leverage);
+
+    // 2. Вхід згідно ENTRY_MODE: Market (0.05% комісія), IOC Limit з обмеженням slippage
+    //    або post-only Limit (0.02% комісія) з переставлянням
+    const entry = await executeEntry(account, positionParams, symbolInfo);
+
+    if (!entry.executed) {
+      logger.warn(`[TRADE] Entry aborted: ${entry.reason} ${JSON.stringify(entry.info)}`);
+      await account.notify(
+        telegramService.formatEntryAbortedMessage(symbol, direction, entry.reason, entry.info)
+      );
+      return;
+    }
+
+    const { orderResult } = entry;
+
+    // 3-4. Take Profit (Limit) та Stop Loss (Price-Triggered Limit), 0.02% комісія при виконанні.
+    //      Якщо захист не виставився - вхід відкочується, позиція не лишається без TP/SL
+    const protection = await protectEntry(account, symbol, direction, entry);
+
+    if (!protection.protected) {
+      statistics.failedEntries++;
+
+      try {
+        await account.notify(telegramService.formatEntryRollbackMessage({
+          symbol,
+          direction,
+          entry,
+          error: protection.error,
+          rollback: protection.rollback
+        }));
+      } catch (telegramError) {
+        logger.error(`[TRADE] Error sending rollback alert: ${telegramError.message}`);
+      }
+
+      logger.error(`[TRADE] ❌ Position open failed and was rolled back: ${symbol} ${direction}`);
+      return;
+    }
+
+    const { tpResult, slResult } = protection;
+
+    // 5. Додаємо позицію до моніторингу
+    positions.addOpenPosition({
+      symbol,
+      direction,
+      entryPrice: entry.entryPrice,
+      quantity: entry.quantity,
+      quantoMultiplier: positionParams.quantoMultiplier,
+      takeProfit: entry.takeProfit,
+      stopLoss: entry.stopLoss,
+      orderId: orderResult.orderId,
+      entryOrderIds: entry.orderIds,
+      timestamp,
+      tpOrderId: tpResult.orderId,
+      slOrderId: slResult.orderId
+    });
+
+    // 6. Оновлюємо статистику
+    statistics.totalTrades++;
+    statistics.dailyTrades++;
+
+    // 7. Відправляємо повідомлення в Telegram
+    await account.notify(
+      telegramService.formatPositionOpenedMessage({
+        ...positionParams,
+        entryPrice: entry.entryPrice,
+        quantity: entry.quantity,
+        coinQuantity: entry.coinQuantity,
+        takeProfit: entry.takeProfit,
+        stopLoss: entry.stopLoss,
+        liquidationPrice: entry.liquidationPrice,
+        lossAtStop: entry.lossAtStop,
+        levels,
+        slippagePercent: entry.slippagePercent,
+        marginMode: marginSettings.marginMode,
+        balance,
+        timestamp
+      })
+    );
+
+    logger.info(`[TRADE] ✅ Position opened successfully: ${symbol} ${direction}`);
+    logger.info(`[TRADE] ${ENTRY_MODE_LABELS[config.trading.entryMode]}, TP/SL as Limit orders (0.02% fee)`);
+
+  } catch (error) {
+    logger.error(`[TRADE] Error opening position: ${error.message}`);
+    throw error;
+  }
+}
+
+export default {
+  handleSignal
+};
@@ -1,6 +1,7 @@
 import TelegramBot from 'node-telegram-bot-api';
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import { formatReading } from './levels.service.js';
 
 /**
  * Нормалізує напрямок угоди на основі типу сигналу.
@@ -218,6 +219,14 @@ class TelegramService {
     }
   }
 
+  /**
+   * Мітка активного середовища (mainnet / testnet / mock) для повідомлень
+   */
+  formatEnvironmentTag() {
+    const emoji = config.exchange.environment === 'mainnet' ? '🟢' : '🧪';
+    return `${emoji} <b>${config.exchange.environmentLabel}</b>`;
+  }
+
   /**
    * Форматує повідомлення про відкриття позиції
    */
@@ -227,11 +236,16 @@ class TelegramService {
       direction, 
       entryPrice, 
       quantity, 
+      coinQuantity,
       leverage, 
       takeProfit, 
       stopLoss, 
       riskAmount,
-      balance
+      balance,
+      slippagePercent,
+      liquidationPrice,
+      lossAtStop,
+      levels
     } = positionData;
     
     const cleanSymbol = symbol ? symbol.replace('USDT', '') : 'UNKNOWN';
@@ -252,14 +266,14 @@ class TelegramService {
   
 <b>Symbol:</b> ${symbol}
 <b>Direction:</b> ${directionEmoji} ${direction}
-<b>Entry Price:</b> $${entryPrice}
-<b>Quantity:</b> ${quantity.toLocaleString()} ${cleanSymbol}
-<b>Leverage:</b> ${leverage}x
+<b>Entry Price:</b> $${entryPrice}${slippagePercent !== null && slippagePercent !== undefined ? ` (slippage ${slippagePercent.toFixed(3)}%)` : ''}
+<b>Quantity:</b> ${quantity.toLocaleString()} contracts (${(coinQuantity ?? quantity).toLocaleString()} ${cleanSymbol})
+<b>Leverage:</b> ${leverage}x${positionData.marginMode ? ` (${positionData.marginMode} margin)` : ''}
 
 🎯 <b>Take Profit:</b> $${takeProfit} (+${tpPercent}%) [Limit 0.02%]
 🛑 <b>Stop Loss:</b> $${stopLoss} (-${slPercent}%) [Limit 0.02%]
-💰 <b>Risk:</b> $${riskAmount.toFixed(2)} (${balancePercent}% of balance)
-
+${levels?.reading ? `📏 <b>Levels:</b> ${formatReading(levels.reading)} → TP ${config.levels.takeProfitMultiple}×, SL ${config.levels.stopLossMultiple}×${levels.clamped ? ' (clamped)' : ''}\n` : ''}${liquidationPrice !== undefined ? `☠️ <b>Est. Liquidation:</b> ${liquidationPrice === null ? 'none' : `$${liquidationPrice} (${(Math.abs(liquidationPrice - entryPrice) / entryPrice * 100).toFixed(2)}% away)`}\n` : ''}💰 <b>Risk:</b> $${riskAmount.toFixed(2)} (${balancePercent}% of balance${positionData.sizingMode === 'stop_loss' ? ', loss at SL' : ', margin'})
+${lossAtStop !== undefined ? `📉 <b>Loss at SL:</b> $${lossAtStop.toFixed(2)} (${balance ? (lossAtStop / balance * 100).toFixed(2) : '0.00'}% of balance, incl. est. fees)\n` : ''}
 Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZone: 'UTC' })} UTC`;
   }
 
@@ -267,7 +281,9 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
    * Форматує повідомлення про закриття позиції
    */
   formatPositionClosedMessage(positionData) {
-    const { symbol, direction, entryPrice, exitPrice, pnl, pnlPercent, duration } = positionData;
+    const { symbol, direction, entryPrice, exitPrice, pnl, pnlPercent, duration, fees = 0, funding = 0, stopMoves = 0 } = positionData;
+    const pricePnl = positionData.pricePnl ?? pnl;
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
     
     const isProfit = pnl >= 0;
     const emoji = isProfit ? '🟢' : '🔴';
@@ -279,11 +295,102 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
 <b>Direction:</b> ${direction}
 <b>Entry:</b> $${entryPrice}
 <b>Exit:</b> $${exitPrice}
-<b>Result:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)})
+${stopMoves > 0 ? `<b>Final Stop:</b> $${positionData.stopLoss} (moved ${stopMoves}×${positionData.breakEvenAt ? ', break-even' : ''})\n` : ''}<b>Gross:</b> ${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(2)}% (${signed(pricePnl)})
+<b>Fees:</b> ${signed(-fees)}
+${funding !== 0 ? `<b>Funding:</b> ${signed(funding)}${positionData.hedged ? ' (approx.: symbol total incl. hedge leg)' : ''}\n` : ''}<b>Net Result:</b> ${signed(pnl)}
 
 <b>Duration:</b> ${duration}`;
   }
 
+  /**
+   * Форматує повідомлення про скасований вхід (тонкий стакан, невиконаний IOC)
+   */
+  formatEntryAbortedMessage(symbol, direction, reason, details = {}) {
+    let message = `⚠️ <b>ENTRY ABORTED</b>
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Reason:</b> ${reason}`;
+
+    const entries = Object.entries(details);
+    if (entries.length > 0) {
+      message += '\n';
+      for (const [key, value] of entries) {
+        message += `\n<b>${key}:</b> ${value}`;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує тривогу про невдалий вхід: TP/SL не виставлено, позицію відкочено
+   */
+  formatEntryRollbackMessage({ symbol, direction, entry, error, rollback }) {
+    let message = `🚨🚨 <b>POSITION OPEN FAILED — ${rollback.flat ? 'ROLLED BACK' : 'ROLLBACK INCOMPLETE'}</b> 🚨🚨
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Entry filled:</b> ${entry.quantity} contracts @ $${entry.entryPrice}
+<b>Error:</b> ${error.message}
+
+<b>Undone:</b>`;
+
+    for (const order of rollback.cancelled) {
+      message += `\n• ${order.type} #${order.orderId} cancelled`;
+    }
+
+    if (rollback.close) {
+      message += `\n• Position closed: ${rollback.close.filledQuantity} contracts @ $${rollback.close.avgFillPrice} (reduce-only market)`;
+    }
+
+    if (rollback.failures.length > 0) {
+      message += `\n\n❌ <b>Rollback failures:</b>`;
+      for (const failure of rollback.failures) {
+        message += `\n• ${failure.step}: ${failure.error}`;
+      }
+    }
+
+    message += rollback.flat
+      ? `\n\n✅ Position is flat.`
+      : `\n\n‼️ <b>POSITION MAY STILL BE OPEN AND UNPROTECTED — CHECK MANUALLY NOW</b>`;
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про невдале скасування залишкових TP/SL ордерів
+   */
+  formatOrderCancelFailedMessage(symbol, failures, exchangeLabel = 'Gate.io') {
+    let message = `⚠️ <b>LEFTOVER ORDER NOT CANCELLED</b>
+
+<b>Symbol:</b> ${symbol}`;
+
+    for (const failure of failures) {
+      message += `\n• ${failure.type} #${failure.orderId}: ${failure.error}`;
+    }
+
+    message += `\n\nCancel it manually on ${exchangeLabel}.`;
+
+    return message;
+  }
+
+  /**
+   * Форматує повідомлення про переміщення SL (trailing stop, break-even)
+   */
+  formatStopMovedMessage({ symbol, direction, entryPrice, previousStop, newStop, markPrice, reason }) {
+    const lockedPercent = ((newStop - entryPrice) / entryPrice) * 100 * (direction === 'LONG' ? 1 : -1);
+    const title = reason === 'break-even' ? '🛡 <b>STOP MOVED TO BREAK-EVEN</b>' : `🔁 <b>STOP MOVED</b> (${reason})`;
+
+    return `${title}
+
+<b>Symbol:</b> ${symbol}
+<b>Direction:</b> ${direction}
+<b>Stop Loss:</b> $${previousStop} → $${newStop}
+<b>Mark Price:</b> $${markPrice}
+<b>Stop vs Entry:</b> ${lockedPercent >= 0 ? '+' : ''}${lockedPercent.toFixed(2)}%`;
+  }
+
   /**
    * Форматує повідомлення про ігнорування сигналу
    */
@@ -309,6 +416,57 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
     return message;
   }
 
+  /**
+   * Форматує звіт про відновлені після рестарту позиції
+   */
+  formatReconciliationMessage({ adopted, unprotected, orphanOrders }) {
+    let message = `🔄 <b>POSITIONS RECONCILED</b>
+
+<b>Adopted positions:</b> ${adopted.length}`;
+
+    for (const position of adopted) {
+      message += `\n• ${position.symbol} ${position.direction} ${position.quantity} contracts ` +
+        `(${position.coinQuantity} coins) @ $${position.entryPrice}` +
+        ` | TP: ${position.takeProfit !== null ? '$' + position.takeProfit : '—'}` +
+        ` | SL: ${position.stopLoss !== null ? '$' + position.stopLoss : '—'}`;
+    }
+
+    if (unprotected.length > 0) {
+      message += `\n\n⚠️ <b>UNPROTECTED:</b>`;
+      for (const item of unprotected) {
+        const missing = [item.missingTakeProfit && 'TP', item.missingStopLoss && 'SL'].filter(Boolean).join(', ');
+        message += `\n• ${item.symbol} ${item.direction} — missing ${missing}`;
+      }
+    }
+
+    if (orphanOrders.length > 0) {
+      message += `\n\n🧹 <b>Orders without position:</b>`;
+      for (const order of orphanOrders) {
+        message += `\n• ${order.symbol} ${order.type} #${order.orderId}`;
+      }
+    }
+
+    return message;
+  }
+
+  /**
+   * Форматує попередження про зміни контрактів з allowedSymbols
+   */
+  formatContractAlertMessage(alerts, exchangeLabel = 'Gate.io') {
+    let message = `🚫 <b>CONTRACT ALERT</b>\n`;
+
+    for (const alert of alerts) {
+      const text = alert.type === 'missing'
+        ? `contract not found on ${exchangeLabel}`
+        : 'contract is in delisting';
+      message += `\n• <b>${alert.symbol}</b>: ${text}`;
+    }
+
+    message += `\n\nSignals for these symbols will be rejected.`;
+
+    return message;
+  }
+
   /**
    * Форматує щоденний звіт
    */
@@ -318,6 +476,7 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
       : '0.0';
     
     const pnlEmoji = report.totalPnl >= 0 ? '💰' : '📉';
+    const signed = value => `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`;
     const roiEmoji = report.roi >= 0 ? '📈' : '📉';
     
     return `📊 <b>DAILY REPORT</b>
@@ -327,9 +486,10 @@ Signal from: ${new Date(positionData.timestamp).toLocaleString('en-US', { timeZo
 <b>Total Signals:</b> ${report.totalSignals}
 <b>Signals Ignored (off-hours):</b> ${report.signalsIgnored}
 <b>Total Trades:</b> ${report.totalTrades}
-✅ <b>Wins:</b> ${report.winTrades} (${winRate}%)
+${report.failedEntries > 0 ? `🚨 <b>Failed entries (rolled back):</b> ${report.failedEntries}\n` : ''}✅ <b>Wins:</b> ${report.winTrades} (${winRate}%)
 ❌ <b>Losses:</b> ${report.loseTrades} (${(100 - parseFloat(winRate)).toFixed(1)}%)
 ${pnlEmoji} <b>Total P&L:</b> ${report.totalPnl >= 0 ? '+' : ''}$${report.totalPnl.toFixed(2)}
+<b>Trades P&L:</b> gross ${signed(report.totalGrossPnl)}, fees ${signed(-report.totalFees)}${report.totalFunding ? `, funding ${signed(report.totalFunding)}` : ''}, net ${signed(report.totalNetPnl)}
 ${roiEmoji} <b>ROI:</b> ${report.roi >= 0 ? '+' : ''}${report.roi.toFixed(2)}%
 
 <b>Balance:</b> $${report.startBalance.toFixed(2)} → $${report.currentBalance.toFixed(2)}`;
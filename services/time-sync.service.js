@@ -0,0 +1,111 @@
+import { EventEmitter } from 'events';
+import axios from 'axios';
+import { config } from '../config/settings.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Синхронізація годинника з сервером Gate.io
+ *
+ * Gate.io відхиляє підписані запити, якщо Timestamp відрізняється від серверного часу.
+ * Offset = server_time - середина інтервалу запиту (компенсує мережеву затримку).
+ *
+ * Подія 'drift' - коли розбіжність перевищує поріг (config.timeSync.driftWarnMs)
+ */
+class TimeSyncService extends EventEmitter {
+  constructor() {
+    super();
+    this.offsetMs = 0;
+    this.lastRoundTripMs = null;
+    this.lastSyncAt = null;
+    this.syncInterval = null;
+    this.driftExceeded = false;
+  }
+
+  /**
+   * Вимірює offset відносно серверного часу
+   */
+  async sync() {
+    try {
+      const startedAt = Date.now();
+      const response = await axios.get(config.gateio.timeURL, { timeout: 5000 });
+      const finishedAt = Date.now();
+
+      const serverTime = Number(response.data.server_time);
+      if (!serverTime) {
+        throw new Error(`Invalid server time response: ${JSON.stringify(response.data)}`);
+      }
+
+      this.offsetMs = Math.round(serverTime - (startedAt + finishedAt) / 2);
+      this.lastRoundTripMs = finishedAt - startedAt;
+      this.lastSyncAt = finishedAt;
+
+      logger.info(`[TIME-SYNC] Offset: ${this.offsetMs}ms (round trip ${this.lastRoundTripMs}ms)`);
+
+      this.checkDrift();
+      return this.offsetMs;
+    } catch (error) {
+      logger.error(`[TIME-SYNC] Error syncing server time: ${error.message}`);
+      throw error;
+    }
+  }
+
+  checkDrift() {
+    const exceeded = Math.abs(this.offsetMs) > config.timeSync.driftWarnMs;
+
+    if (exceeded && !this.driftExceeded) {
+      logger.warn(`[TIME-SYNC] Local clock drift ${this.offsetMs}ms exceeds ${config.timeSync.driftWarnMs}ms`);
+      this.emit('drift', {
+        offsetMs: this.offsetMs,
+        thresholdMs: config.timeSync.driftWarnMs,
+        roundTripMs: this.lastRoundTripMs
+      });
+    } else if (!exceeded && this.driftExceeded) {
+      logger.info('[TIME-SYNC] Clock drift back within threshold');
+    }
+
+    this.driftExceeded = exceeded;
+  }
+
+  /**
+   * Запускає періодичну синхронізацію
+   */
+  start(intervalMs = config.timeSync.intervalMs) {
+    if (this.syncInterval) return;
+
+    this.syncInterval = setInterval(async () => {
+      try {
+        await this.sync();
+      } catch (error) {
+        // Залишаємо попередній offset
+      }
+    }, intervalMs);
+
+    logger.info(`[TIME-SYNC] Periodic sync every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    if (this.syncInterval) {
+      clearInterval(this.syncInterval);
+      this.syncInterval = null;
+    }
+  }
+
+  /**
+   * Поточний час біржі в мілісекундах
+   */
+  now() {
+    return Date.now() + this.offsetMs;
+  }
+
+  nowSeconds() {
+    return Math.floor(this.now() / 1000);
+  }
+
+  date() {
+    return new Date(this.now());
+  }
+}
+
+// Експортуємо singleton
+const timeSyncService = new TimeSyncService();
+export default timeSyncService;
@@ -1,5 +1,6 @@
 import { config } from '../config/settings.js';
 import logger from '../utils/logger.js';
+import timeSyncService from './time-sync.service.js';
 
 /**
  * Перевіряє чи активні торговельні години
@@ -10,7 +11,7 @@ export function isTradingHoursActive() {
     return true;
   }
 
-  const now = new Date();
+  const now = timeSyncService.date();
   const currentHour = now.getUTCHours(); // Завжди використовуємо UTC
   
   const startHour = config.tradingHours.startHour;
@@ -40,7 +41,7 @@ export function isTradingHoursActive() {
  * @returns {Object} інформація про поточний стан та наступний торговий період
  */
 export function getTradingHoursInfo() {
-  const now = new Date();
+  const now = timeSyncService.date();
   const currentHour = now.getUTCHours();
   const currentMinute = now.getUTCMinutes();
   
@@ -92,7 +93,7 @@ export function getTradingHoursInfo() {
  */
 export function formatTradingHoursMessage() {
   const info = getTradingHoursInfo();
-  const now = new Date();
+  const now = timeSyncService.date();
   const currentTime = `${String(info.currentHour).padStart(2, '0')}:${String(info.currentMinute).padStart(2, '0')}`;
   
   if (info.isActive) {
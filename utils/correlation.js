@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Correlation id для відстеження життєвого циклу угоди в логах:
+ * сигнал → валідація → ордери → закриття позиції.
+ * Зберігається в AsyncLocalStorage, тому доступний у всіх async викликах всередині run.
+ * Разом з ним зберігається id торгового акаунта.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Створює новий id, наприклад sig-3f9a1c2b
+ */
+export function createCorrelationId(prefix = 'sig') {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Виконує fn з доповненим контекстом логування ({ correlationId, accountId })
+ */
+export function runWithLogContext(context, fn) {
+  const parent = storage.getStore() || {};
+  return storage.run({ ...parent, ...context }, fn);
+}
+
+/**
+ * Виконує fn з заданим correlation id
+ */
+export function runWithCorrelationId(correlationId, fn) {
+  return runWithLogContext({ correlationId }, fn);
+}
+
+/**
+ * Поточний correlation id або null
+ */
+export function getCorrelationId() {
+  return storage.getStore()?.correlationId || null;
+}
+
+/**
+ * Поточний контекст логування
+ */
+export function getLogContext() {
+  return storage.getStore() || {};
+}
+
+export default {
+  createCorrelationId,
+  runWithLogContext,
+  runWithCorrelationId,
+  getCorrelationId,
+  getLogContext
+};
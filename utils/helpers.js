@@ -89,6 +89,29 @@ export function calculatePnL(entryPrice, exitPrice, quantity, direction) {
   return 0;
 }
 
+/**
+ * Контракти → кількість монет (1 контракт = quantoMultiplier монет)
+ */
+export function contractsToCoins(contracts, quantoMultiplier) {
+  if (!isValidNumber(quantoMultiplier)) return contracts;
+  return contracts * quantoMultiplier;
+}
+
+/**
+ * Кількість монет → контракти
+ */
+export function coinsToContracts(coins, quantoMultiplier) {
+  if (!isValidNumber(quantoMultiplier)) return coins;
+  return coins / quantoMultiplier;
+}
+
+/**
+ * Notional в USDT для кількості контрактів
+ */
+export function contractsToNotional(contracts, quantoMultiplier, price) {
+  return contractsToCoins(contracts, quantoMultiplier) * price;
+}
+
 /**
  * Форматує тривалість часу
  */
@@ -1,36 +1,134 @@
 import winston from 'winston';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getLogContext } from './correlation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Створюємо форматтер для логів
-const logFormat = winston.format.combine(
+// Логер використовується і скриптами без повного config, тому читає env напряму
+// (.env завантажує config/settings.js)
+// LOG_LEVEL: error | warn | info | debug
+// LOG_FORMAT: text (за замовчуванням) | json
+const LOG_LEVEL = (process.env.LOG_LEVEL || 'info').toLowerCase();
+const LOG_FORMAT = (process.env.LOG_FORMAT || 'text').toLowerCase();
+
+const REDACTED = '[REDACTED]';
+// Поля з цими назвами ніколи не потрапляють в лог
+const SENSITIVE_KEY_PATTERN = /^(key|sign|signature|secret|api_?key|api_?secret|token|bot_?token|password|authorization)$/i;
+// HMAC-SHA512 підпис у hex
+const SIGNATURE_PATTERN = /\b[a-f0-9]{128}\b/gi;
+const TELEGRAM_TOKEN_PATTERN = /\b\d{6,12}:[A-Za-z0-9_-]{30,}\b/g;
+// Значення env змінних з такими назвами вважаємо секретами
+const SECRET_ENV_PATTERN = /(API_KEY|API_SECRET|SECRET|TOKEN)$/;
+
+const registeredSecrets = new Set();
+// Секрети з env - збираються один раз при першому логуванні
+let envSecrets = null;
+
+/**
+ * Додає значення до списку секретів, що замінюються на [REDACTED]
+ * (наприклад ключі акаунтів, завантажені не з env)
+ */
+export function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 8) {
+    registeredSecrets.add(value);
+  }
+}
+
+function getEnvSecrets() {
+  if (!envSecrets) {
+    envSecrets = Object.entries(process.env)
+      .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 8)
+      .map(([, value]) => value);
+  }
+  return envSecrets;
+}
+
+export function redactString(text) {
+  let result = text;
+  for (const secret of [...getEnvSecrets(), ...registeredSecrets]) {
+    result = result.split(secret).join(REDACTED);
+  }
+  return result
+    .replace(SIGNATURE_PATTERN, REDACTED)
+    .replace(TELEGRAM_TOKEN_PATTERN, REDACTED);
+}
+
+function redactValue(key, value) {
+  if (SENSITIVE_KEY_PATTERN.test(key)) {
+    return REDACTED;
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue('', item));
+  }
+  if (value && typeof value === 'object' && !(value instanceof Error)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(k, v)]));
+  }
+  return value;
+}
+
+// Шар редагування: ключі, підписи та токени
+const redact = winston.format((info) => {
+  if (typeof info.message === 'string') {
+    info.message = redactString(info.message);
+  }
+  for (const key of Object.keys(info)) {
+    if (key !== 'level' && key !== 'message') {
+      info[key] = redactValue(key, info[key]);
+    }
+  }
+  return info;
+});
+
+// Додає correlation id поточного сигналу та id акаунта
+const correlation = winston.format((info) => {
+  const { correlationId, accountId } = getLogContext();
+  if (accountId && !info.accountId) {
+    info.accountId = accountId;
+  }
+  if (correlationId && !info.correlationId) {
+    info.correlationId = correlationId;
+  }
+  return info;
+});
+
+const baseFormat = winston.format.combine(
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
-  winston.format.printf(({ timestamp, level, message, ...meta }) => {
-    let msg = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    if (Object.keys(meta).length > 0 && meta.stack) {
-      msg += `\n${meta.stack}`;
-    } else if (Object.keys(meta).length > 0) {
-      msg += ` ${JSON.stringify(meta)}`;
-    }
-    return msg;
-  })
+  correlation(),
+  redact()
 );
 
+// Створюємо форматтер для логів
+const textFormat = winston.format.printf(({ timestamp, level, message, accountId, correlationId, ...meta }) => {
+  const context = [accountId, correlationId].filter(Boolean).map(value => ` [${value}]`).join('');
+  let msg = `[${timestamp}] [${level.toUpperCase()}]${context} ${message}`;
+  if (Object.keys(meta).length > 0 && meta.stack) {
+    msg += `\n${meta.stack}`;
+  } else if (Object.keys(meta).length > 0) {
+    msg += ` ${JSON.stringify(meta)}`;
+  }
+  return msg;
+});
+
+const logFormat = LOG_FORMAT === 'json'
+  ? winston.format.combine(baseFormat, winston.format.json())
+  : winston.format.combine(baseFormat, textFormat);
+
 // Створюємо логер
 const logger = winston.createLogger({
-  level: 'info',
+  level: LOG_LEVEL,
   format: logFormat,
   transports: [
     // Консольний вивід
     new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        logFormat
-      )
+      format: LOG_FORMAT === 'json'
+        ? logFormat
+        : winston.format.combine(winston.format.colorize(), logFormat)
     }),
     // Файл для всіх логів
     new winston.transports.File({
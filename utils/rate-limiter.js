@@ -0,0 +1,72 @@
+import { sleep } from './helpers.js';
+
+/**
+ * Token bucket: capacity запитів "впрок", поповнення refillPerSecond токенів за секунду
+ */
+export class TokenBucket {
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSec = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSec * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Чекає поки з'явиться токен і забирає його
+   */
+  async take() {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Забирає всі токени до моменту resetAt (після 429 від біржі)
+   */
+  drainUntil(resetAt) {
+    const waitSec = Math.max(0, (resetAt - Date.now()) / 1000);
+    this.tokens = -waitSec * this.refillPerSecond;
+    this.lastRefill = Date.now();
+  }
+}
+
+/**
+ * Набір іменованих bucket'ів (по одному на групу endpoint'ів)
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} bucketConfig - { name: { capacity, refillPerSecond } }
+   */
+  constructor(bucketConfig) {
+    this.buckets = new Map();
+    for (const [name, { capacity, refillPerSecond }] of Object.entries(bucketConfig)) {
+      this.buckets.set(name, new TokenBucket(capacity, refillPerSecond));
+    }
+  }
+
+  async acquire(name) {
+    const bucket = this.buckets.get(name);
+    if (bucket) {
+      await bucket.take();
+    }
+  }
+
+  drainUntil(name, resetAt) {
+    this.buckets.get(name)?.drainUntil(resetAt);
+  }
+}
+
+export default RateLimiter;